@@ -2,3 +2,4 @@ export * from "./log-progress.js";
 export * from "./progress-bar.js";
 export * from "./readline-selector.js";
 export * from "./console-format.js";
+export * from "./usage-tree.js";
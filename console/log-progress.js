@@ -23,34 +23,53 @@ import { initializeCFormatter } from "../string/c-format.js";
  * @param {Object} [inputOptions] - Configurable function options.
  * @param {Boolean} [inputOptions.sync = false] - Process synchronously (true) or asynchronously (false).
  * @param {number} [inputOptions.throttleRate = 30] - Time between each terminal update in ms.
+ * @param {number} [inputOptions.refreshRate = 0] - Also redraw the message every refreshRate ms
+ * while promises are pending, for messages that report progress made inside the promises.
+ * Default (0) only redraws when a promise resolves.
  * @returns {Promise<any[]>} Final Promise.all() values transformed from initial array.
  */
 async function logProgress(promises, message, inputOptions = {}) {
-    const defaultOptions = { sync: false, throttleRate: 30 };
-    const { sync: processSynchronously, throttleRate } = {
+    const defaultOptions = { sync: false, throttleRate: 30, refreshRate: 0 };
+    const {
+        sync: processSynchronously,
+        throttleRate,
+        refreshRate,
+    } = {
         ...defaultOptions,
         ...inputOptions,
     };
     let currentIndex = 0;
     let lastTime = 0;
     let lastLineCount = 0;
+    let lastValue;
 
     const itemsLength = promises.length;
 
     const logMessage = message || `Promise: %04i / %04m\nCompletion: %3.0p%%`;
     const generate = generateMessageCurry(logMessage);
 
-    if (!processSynchronously) {
-        const resolvedPromises = promises.map(trackItem);
-        return Promise.all(resolvedPromises);
-    }
+    const refreshInterval =
+        refreshRate > 0
+            ? setInterval(() => {
+                  updateTerminal(lastValue, currentIndex, itemsLength);
+              }, refreshRate)
+            : null;
+
+    try {
+        if (!processSynchronously) {
+            const resolvedPromises = promises.map(trackItem);
+            return await Promise.all(resolvedPromises);
+        }
 
-    const output = [];
+        const output = [];
 
-    for (const promise of promises) {
-        output.push(await trackItem(promise));
+        for (const promise of promises) {
+            output.push(await trackItem(promise));
+        }
+        return output;
+    } finally {
+        clearInterval(refreshInterval);
     }
-    return output;
 
     /**
      *
@@ -60,6 +79,7 @@ async function logProgress(promises, message, inputOptions = {}) {
     async function trackItem(promise) {
         const result = await promise;
         currentIndex++;
+        lastValue = result;
         const now = Date.now();
         const isFinal = currentIndex === itemsLength;
 
@@ -0,0 +1,92 @@
+import { initializeColorFormatter } from "./console-format.js";
+import { formatBytes } from "../string/format-bytes.js";
+
+/**
+ * @typedef {Object} UsageTreeOptions
+ * @property {Number} [inputOptions.maxChildren = 0] - Subdirectories shown per directory,
+ * the others are summed up on one line. Default (0) shows all of them.
+ * @property {Boolean} [inputOptions.colors = true] - Color sizes by their share of the
+ * parent directory: red from 50%, yellow from 20%, green below.
+ * @property {import("../fs/event-logger.js").Logger|null} [inputOptions.logger = console] -
+ * Where the tree is printed. Null only returns it.
+ */
+
+/**
+ * Print a `directoryUsage` result as a tree, largest directories first, with
+ * human-readable sizes and file counts.
+ * @param {import("../fs/directory-usage.js").DirectoryUsage} usage - Result of `directoryUsage`.
+ * @param {UsageTreeOptions} [inputOptions] - Configurable options.
+ * @returns {String} - The printed tree.
+ */
+function printUsageTree(usage, inputOptions = {}) {
+    const defaultOptions = {
+        maxChildren: 0,
+        colors: true,
+        logger: console,
+    };
+    const { maxChildren, colors, logger } = {
+        ...defaultOptions,
+        ...inputOptions,
+    };
+    const formatter = initializeColorFormatter();
+    const paint = (string, ...styles) =>
+        colors ? formatter.toColor(string, ...styles) : string;
+    const dim = (string) =>
+        colors ? formatter.decorate(string, "dim") : string;
+
+    /**
+     * @param {import("../fs/directory-usage.js").UsageNode} node
+     * @param {import("../fs/directory-usage.js").UsageNode|null} parent
+     * @returns {String}
+     */
+    const describe = (node, parent) => {
+        const share = parent?.size ? node.size / parent.size : 1;
+        const color = share >= 0.5 ? "red" : share >= 0.2 ? "yellow" : "green";
+        const size = paint(formatBytes(node.size), color, "bright");
+        const percentage = parent ? ` ${Math.round(share * 100)}%` : "";
+        return `${paint(node.name, "cyan")}  ${size}${percentage}  ${dim(
+            `${node.files} file(s)`
+        )}`;
+    };
+
+    const lines = [describe(usage.root, null)];
+    /**
+     * @param {import("../fs/directory-usage.js").UsageNode} node
+     * @param {String} indent
+     */
+    const addChildren = (node, indent) => {
+        const shown =
+            maxChildren > 0
+                ? node.children.slice(0, maxChildren)
+                : node.children;
+        const hidden = node.children.slice(shown.length);
+
+        shown.forEach((child, index) => {
+            const isLast = index === shown.length - 1 && hidden.length === 0;
+            const branch = isLast ? "└── " : "├── ";
+            lines.push(`${indent}${branch}${describe(child, node)}`);
+            addChildren(child, `${indent}${isLast ? "    " : "│   "}`);
+        });
+
+        if (hidden.length > 0) {
+            const hiddenSize = hidden.reduce(
+                (total, { size }) => total + size,
+                0
+            );
+            lines.push(
+                `${indent}└── ${dim(
+                    `${hidden.length} more directory(ies), ${formatBytes(
+                        hiddenSize
+                    )}`
+                )}`
+            );
+        }
+    };
+    addChildren(usage.root, "");
+
+    const tree = lines.join("\n");
+    if (logger) logger.log(tree);
+    return tree;
+}
+
+export { printUsageTree };
@@ -1,12 +1,21 @@
-import fs from "node:fs/promises";
 import path from "node:path";
-
-const HIDDEN_FILES_SET = new Set([".DS_Store", "Desktop.ini"]);
+import { DEFAULT_JUNK_PATTERNS, createJunkFilter } from "./hidden-files.js";
+import { createEventLogger } from "./event-logger.js";
+import { createPatternFilter, matchIgnoreRules } from "./path-patterns.js";
+import { nodeFileSystem } from "./file-system.js";
+import { statLinkTarget, getInodeKey } from "./search-entry.js";
+import { readIgnoreFiles } from "./ignore-files.js";
 
 const defaultOptions = {
     deleteHiddenFiles: true,
+    junkPatterns: DEFAULT_JUNK_PATTERNS,
+    dryRun: false,
     filter: null,
+    exclude: null,
+    ignoreFiles: null,
     maxDepth: 0,
+    followSymlinks: false,
+    fileSystem: nodeFileSystem,
 };
 
 /**
@@ -18,59 +27,180 @@ const defaultOptions = {
 
 /**
  * @typedef {Object} CleanEmptyOptions
- * @property {Boolean} [inputOptions.deleteHiddenFiles = false] - Chooses whether to include
- * hidden files such as ".DS_Store" when determining if a directory is empty.
+ * @property {Boolean} [inputOptions.deleteHiddenFiles = true] - Chooses whether junk files
+ * such as ".DS_Store" are ignored when determining if a directory is empty. They are
+ * deleted along with the directory.
+ * @property {String[]} [inputOptions.junkPatterns = DEFAULT_JUNK_PATTERNS] - Gitignore-style
+ * patterns, relative to the cleaned directory, of the junk files: ".DS_Store" and
+ * "Desktop.ini" by default. Windows thumbnail caches and macOS resource forks can be
+ * added with `[...DEFAULT_JUNK_PATTERNS, "Thumbs.db", "._*"]`. Patterns only match files,
+ * never directories or the files inside a matching directory.
+ * @property {Boolean} [inputOptions.dryRun = false] - Report the directories and junk files
+ * that would be removed without removing them.
  * @property {FileFilter} [inputOptions.filter = null] - Filter out directories to ignore while processing.
+ * @property {String[]|null} [inputOptions.exclude = null] - Gitignore-style patterns, relative to
+ * the cleaned directory. Matching directories are left untouched.
+ * @property {String[]|null} [inputOptions.ignoreFiles = null] - Names of gitignore-style
+ * files, such as [".gitignore"]. Directories they match are left untouched, each file
+ * applying to its own directory and everything below it.
  * @property {number} [inputOptions.maxDepth = 0] - Maximum allowed depth of recursion. Default (0) means
  * no limit.
+ * @property {Boolean} [inputOptions.followSymlinks = false] - Also clean the directories
+ * symbolic links point to. The linked directory itself is kept, and a directory reached
+ * through several paths or a link cycle (same device and inode) is only cleaned once.
+ * @property {import("./event-logger.js").Logger|null} [inputOptions.logger = console] - Where
+ * progress messages are written. Null runs silently.
+ * @property {import("./event-logger.js").EventCallback} [inputOptions.onEvent] - Receives an
+ * "rmdir" event for each removed directory, with the junk files removed from it, and a
+ * "skip" event for each directory beyond maxDepth.
+ * @property {import("./file-system.js").FileSystem} [inputOptions.fileSystem] - Filesystem
+ * to clean. Defaults to the real disk.
  *
  */
 
 /**
- * Recursively deletes all empty folders from a given directory.
+ * @typedef {Object} CleanEmptyReport
+ * @property {String[]} removedDirectories - Full paths of every removed directory.
+ * @property {String[]} removedJunkFiles - Full paths of the junk files removed with them.
+ * @property {String[]} brokenSymlinks - Full paths of the links whose target is missing.
+ * Only collected with followSymlinks.
+ *
+ * @typedef {Object} CleanContext
+ * @property {String} root - Directory being cleaned.
+ * @property {import("./path-patterns.js").PatternFilter|null} patternFilter
+ * @property {(relativePath: String) => Boolean} isJunkFile
+ * @property {import("./path-patterns.js").IgnoreRules[]} ignoreRules - Rules of the
+ * ignore files above the directory.
+ * @property {Set<String>} visited - Device and inode keys of the directories already
+ * cleaned. Only tracked with followSymlinks.
+ * @property {Boolean} isLinkTarget - Directory was reached through a link, so is kept.
+ * @property {import("./event-logger.js").EventLogger} events
+ * @property {CleanEmptyReport} report
+ */
+
+/**
+ * Recursively deletes all empty folders from a given directory. Directories holding
+ * nothing but junk files count as empty. With dryRun, nothing is removed but the report
+ * lists what would be.
  * @param {String} directory - Directory to clean.
  * @param {CleanEmptyOptions} [inputOptions] - Configurable options.
 
- * @returns {Promise<void>}
+ * @returns {Promise<CleanEmptyReport>}
  */
 async function cleanEmptyFolders(directory, inputOptions = {}) {
-    await cleanEmptyFoldersHandler(directory, inputOptions);
+    const report = {
+        removedDirectories: [],
+        removedJunkFiles: [],
+        brokenSymlinks: [],
+    };
+    const events = createEventLogger(inputOptions);
+    const { exclude, junkPatterns } = { ...defaultOptions, ...inputOptions };
+    const patternFilter = exclude ? createPatternFilter({ exclude }) : null;
+    await cleanEmptyFoldersHandler(directory, inputOptions, 0, {
+        root: directory,
+        patternFilter,
+        isJunkFile: createJunkFilter(junkPatterns),
+        ignoreRules: [],
+        visited: new Set(),
+        isLinkTarget: false,
+        events,
+        report,
+    });
+    return report;
 }
 /**
  *
  * @param {String} directory
- * @param {CleanEmptyOptions} [inputOptions]
+ * @param {CleanEmptyOptions} inputOptions
+ * @param {Number} depth
+ * @param {CleanContext} context
  * @returns {Promise<Boolean>}
  */
 async function cleanEmptyFoldersHandler(
     directory,
-    inputOptions = {},
-    depth = 0
+    inputOptions,
+    depth,
+    context
 ) {
     const options = { ...defaultOptions, ...inputOptions };
-
-    const { deleteHiddenFiles, filter, maxDepth } = options;
+    const {
+        root,
+        patternFilter,
+        isJunkFile,
+        visited,
+        isLinkTarget,
+        events,
+        report,
+    } = context;
+
+    const {
+        deleteHiddenFiles,
+        filter,
+        maxDepth,
+        followSymlinks,
+        ignoreFiles,
+        dryRun,
+        fileSystem,
+    } = options;
     if (maxDepth > 0 && depth > maxDepth) {
-        console.log(`rmdir: '${directory}' skipped -> Max depth reached.`);
+        events.emit(
+            { type: "skip", path: directory, reason: "maxDepth" },
+            `rmdir: '${directory}' skipped -> Max depth reached.`
+        );
         return false;
     }
 
-    const isIncluded = typeof filter === "function" ? filter(directory) : true;
+    const relativeDirectory = path.relative(root, directory);
+    const isIncluded =
+        (typeof filter === "function" ? filter(directory) : true) &&
+        (!patternFilter || patternFilter(relativeDirectory, true)) &&
+        !matchIgnoreRules(context.ignoreRules, relativeDirectory, true);
 
     if (depth > 0 && !isIncluded) {
         return false;
     }
 
-    const entries = await fs.readdir(directory, { withFileTypes: true });
+    if (followSymlinks) {
+        const inodeKey = getInodeKey(await fileSystem.stat(directory));
+        if (visited.has(inodeKey)) return false;
+        visited.add(inodeKey);
+    }
+
+    const entries = await fileSystem.readdir(directory, {
+        withFileTypes: true,
+    });
+    const ignoreRules = ignoreFiles
+        ? [
+              ...context.ignoreRules,
+              ...(await readIgnoreFiles(directory, relativeDirectory, entries, {
+                  ignoreFiles,
+                  fileSystem,
+              })),
+          ]
+        : context.ignoreRules;
 
     const removePromises = entries.map(async (file) => {
         const fullPath = path.join(directory, file.name);
+        if (followSymlinks && file.isSymbolicLink()) {
+            const target = await statLinkTarget(fullPath, fileSystem);
+            if (!target) {
+                report.brokenSymlinks.push(fullPath);
+            } else if (target.isDirectory()) {
+                await cleanEmptyFoldersHandler(fullPath, options, depth + 1, {
+                    ...context,
+                    ignoreRules,
+                    isLinkTarget: true,
+                });
+            }
+            return file;
+        }
         if (!file.isDirectory()) return file;
 
         const isDeleted = await cleanEmptyFoldersHandler(
             fullPath,
             options,
-            depth + 1
+            depth + 1,
+            { ...context, ignoreRules, isLinkTarget: false }
         );
         if (isDeleted) return null;
         return file;
@@ -80,24 +210,31 @@ async function cleanEmptyFoldersHandler(
 
     const workingFiles = deleteHiddenFiles
         ? remainingFiles.filter((file) => {
-              return !HIDDEN_FILES_SET.has(file.name);
+              return (
+                  file.isDirectory() ||
+                  !isJunkFile(path.join(relativeDirectory, file.name))
+              );
           })
         : remainingFiles;
 
-    if (workingFiles.length > 0 || depth === 0) {
+    if (workingFiles.length > 0 || depth === 0 || isLinkTarget) {
         return false;
     }
 
-    await Promise.all(
-        remainingFiles.map(async (file) => {
-            const fullPath = path.join(directory, file.name);
-            await fs.rm(fullPath);
-        })
+    const junkFiles = remainingFiles.map((file) =>
+        path.join(directory, file.name)
+    );
+    if (!dryRun) {
+        await Promise.all(junkFiles.map((fullPath) => fileSystem.rm(fullPath)));
+        await fileSystem.rmdir(directory);
+    }
+    report.removedJunkFiles.push(...junkFiles);
+    report.removedDirectories.push(directory);
+    events.emit(
+        { type: "rmdir", path: directory, junkFiles },
+        `rmdir: ${directory}`
     );
-    console.log(`rmdir: ${directory}`);
-
-    await fs.rmdir(directory);
     return true;
 }
 
-export { cleanEmptyFolders };
+export { cleanEmptyFolders, DEFAULT_JUNK_PATTERNS };
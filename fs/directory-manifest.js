@@ -0,0 +1,240 @@
+import path from "node:path";
+import { searchFilesRecursive } from "./search-files-recursive.js";
+import { hashFile } from "./file-hash.js";
+import { nodeFileSystem } from "./file-system.js";
+import { createConcurrencyLimiter } from "../misc/concurrency-limiter.js";
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * @typedef {Object} ManifestEntry
+ * @property {Number} size - File size in bytes.
+ * @property {Number} mtimeMs - Last modification time.
+ * @property {String} [hash] - Hex digest of the file contents, when hashed.
+ *
+ * @typedef {Object} DirectoryManifest - Snapshot of the files of a directory.
+ * @property {Number} version - Manifest format version.
+ * @property {String} directory - Directory the manifest was taken of.
+ * @property {String} createdAt - ISO date the manifest was taken.
+ * @property {String|null} algorithm - Hash algorithm, null when files were not hashed.
+ * @property {{[relativePath: string]: ManifestEntry}} files - Files by path relative to
+ * the directory, with "/" separators.
+ *
+ * @typedef {Object} ManifestMove
+ * @property {String} from - Path in the first manifest.
+ * @property {String} path - Path in the second manifest.
+ *
+ * @typedef {Object} ManifestDiff
+ * @property {String[]} added - Files only in the second manifest.
+ * @property {String[]} removed - Files only in the first manifest.
+ * @property {String[]} modified - Files in both manifests whose contents differ.
+ * @property {ManifestMove[]} moved - Files that moved to another path with the same
+ * contents. Only detected when both manifests have hashes.
+ * @property {Number} unchanged - Number of files the same in both manifests.
+ */
+
+/**
+ * @typedef {Object} ManifestOptions
+ * @property {String|null} [inputOptions.outputPath = null] - JSON file the manifest is
+ * written to. Default (null) only returns it.
+ * @property {Boolean} [inputOptions.hash = false] - Hash the contents of every file, so
+ * diffs can tell changed files of the same size apart and detect moves.
+ * @property {String} [inputOptions.algorithm = "sha256"] - Any algorithm supported by
+ * node:crypto.
+ * @property {String[]|null} [inputOptions.include = null] - Gitignore-style patterns. Only
+ * matching files are recorded.
+ * @property {String[]|null} [inputOptions.exclude = null] - Gitignore-style patterns.
+ * Matching files are left out.
+ * @property {String[]|null} [inputOptions.ignoreFiles = null] - Names of gitignore-style
+ * files whose patterns leave files out, such as [".gitignore"].
+ * @property {Number} [inputOptions.concurrency = 8] - Max number of files hashed at once.
+ * @property {import("./file-system.js").FileSystem} [inputOptions.fileSystem] - Filesystem
+ * holding the directory and the manifest. Defaults to the real disk.
+ */
+
+/**
+ * Take a snapshot of the size, modification time and, optionally, content hash of every
+ * file in a directory. Comparing it later with `diffManifests` verifies a copy of the
+ * directory without needing both at hand.
+ * @param {String} directory - Directory to take the manifest of.
+ * @param {ManifestOptions} [inputOptions] - Configurable options.
+ * @returns {Promise<DirectoryManifest>}
+ */
+async function createDirectoryManifest(directory, inputOptions = {}) {
+    const defaultOptions = {
+        outputPath: null,
+        hash: false,
+        algorithm: "sha256",
+        include: null,
+        exclude: null,
+        ignoreFiles: null,
+        concurrency: 8,
+        fileSystem: nodeFileSystem,
+    };
+    const {
+        outputPath,
+        hash,
+        algorithm,
+        include,
+        exclude,
+        ignoreFiles,
+        concurrency,
+        fileSystem,
+    } = { ...defaultOptions, ...inputOptions };
+
+    const outputRelativePath = outputPath
+        ? path.relative(directory, outputPath)
+        : null;
+    /** @type {import("./search-entry.js").SearchEntry[]} */
+    const entries = await searchFilesRecursive(directory, {
+        include,
+        exclude,
+        ignoreFiles,
+        withStats: true,
+        sort: "name",
+        concurrency,
+        fileSystem,
+    });
+    const files = entries.filter(
+        (entry) =>
+            entry.type === "file" && entry.relativePath !== outputRelativePath
+    );
+
+    const limit = createConcurrencyLimiter(concurrency);
+    const hashes = hash
+        ? await Promise.all(
+              files.map((entry) =>
+                  limit(() => hashFile(entry.fullPath, algorithm, fileSystem))
+              )
+          )
+        : [];
+
+    /** @type {DirectoryManifest} */
+    const manifest = {
+        version: MANIFEST_VERSION,
+        directory: path.resolve(directory),
+        createdAt: new Date().toISOString(),
+        algorithm: hash ? algorithm : null,
+        files: Object.fromEntries(
+            files.map((entry, index) => [
+                entry.relativePath.split(path.sep).join("/"),
+                {
+                    size: entry.size,
+                    mtimeMs: entry.stats.mtimeMs,
+                    ...(hash && { hash: hashes[index] }),
+                },
+            ])
+        ),
+    };
+
+    if (outputPath) {
+        await fileSystem.writeFile(outputPath, JSON.stringify(manifest));
+    }
+    return manifest;
+}
+
+/**
+ * Read a manifest written by `createDirectoryManifest`.
+ * @param {String} manifestPath
+ * @param {{fileSystem?: import("./file-system.js").FileSystem}} [inputOptions] - Filesystem
+ * holding the manifest. Defaults to the real disk.
+ * @returns {Promise<DirectoryManifest>}
+ */
+async function readDirectoryManifest(manifestPath, inputOptions = {}) {
+    const { fileSystem } = { fileSystem: nodeFileSystem, ...inputOptions };
+    const contents = await fileSystem.readFile(manifestPath, "utf8");
+    let manifest;
+    try {
+        manifest = JSON.parse(contents);
+    } catch {
+        manifest = null;
+    }
+
+    if (manifest?.version !== MANIFEST_VERSION || !manifest.files) {
+        throw new Error(
+            `Error: '${manifestPath}' is not a directory manifest.`
+        );
+    }
+    return manifest;
+}
+
+/**
+ * Compare two manifests of the same directory, or of a directory and its copy. Files
+ * differ when their size differs, then by content hash when both manifests have one
+ * from the same algorithm, and otherwise by modification time (to the second).
+ * @param {DirectoryManifest} manifestA - Earlier or reference manifest.
+ * @param {DirectoryManifest} manifestB - Later or copied manifest.
+ * @param {{compareMtime?: Boolean}} [inputOptions] - Set compareMtime to false to ignore
+ * modification times, for copies that did not keep them.
+ * @returns {ManifestDiff}
+ */
+function diffManifests(manifestA, manifestB, inputOptions = {}) {
+    const { compareMtime } = { compareMtime: true, ...inputOptions };
+    const hasHashes =
+        Boolean(manifestA.algorithm) &&
+        manifestA.algorithm === manifestB.algorithm;
+    const filesA = manifestA.files;
+    const filesB = manifestB.files;
+
+    const isSame = (entryA, entryB) => {
+        if (entryA.size !== entryB.size) return false;
+        if (hasHashes) return entryA.hash === entryB.hash;
+        if (!compareMtime) return true;
+        const toSeconds = ({ mtimeMs }) => Math.floor(mtimeMs / 1000);
+        return toSeconds(entryA) === toSeconds(entryB);
+    };
+
+    const pathsB = Object.keys(filesB);
+    const removedPaths = Object.keys(filesA).filter(
+        (filePath) => !Object.hasOwn(filesB, filePath)
+    );
+    const addedPaths = pathsB.filter(
+        (filePath) => !Object.hasOwn(filesA, filePath)
+    );
+    const sharedPaths = pathsB.filter((filePath) =>
+        Object.hasOwn(filesA, filePath)
+    );
+    const modified = sharedPaths.filter(
+        (filePath) => !isSame(filesA[filePath], filesB[filePath])
+    );
+
+    const moved = hasHashes
+        ? findManifestMoves(removedPaths, addedPaths, filesA, filesB)
+        : [];
+    const movedFrom = new Set(moved.map((move) => move.from));
+    const movedTo = new Set(moved.map((move) => move.path));
+
+    return {
+        added: addedPaths.filter((filePath) => !movedTo.has(filePath)),
+        removed: removedPaths.filter((filePath) => !movedFrom.has(filePath)),
+        modified,
+        moved,
+        unchanged: sharedPaths.length - modified.length,
+    };
+}
+
+/**
+ * Pair removed and added files with the same size and hash.
+ * @param {String[]} removedPaths
+ * @param {String[]} addedPaths
+ * @param {DirectoryManifest["files"]} filesA
+ * @param {DirectoryManifest["files"]} filesB
+ * @returns {ManifestMove[]}
+ */
+function findManifestMoves(removedPaths, addedPaths, filesA, filesB) {
+    const toKey = (/** @type {ManifestEntry} */ entry) =>
+        `${entry.size}:${entry.hash}`;
+    /** @type {Map<String, String[]>} */
+    const removedByKey = new Map();
+    removedPaths.forEach((filePath) => {
+        const key = toKey(filesA[filePath]);
+        removedByKey.set(key, [...(removedByKey.get(key) || []), filePath]);
+    });
+
+    return addedPaths.flatMap((filePath) => {
+        const from = removedByKey.get(toKey(filesB[filePath]))?.shift();
+        return from ? [{ from, path: filePath }] : [];
+    });
+}
+
+export { createDirectoryManifest, readDirectoryManifest, diffManifests };
@@ -0,0 +1,161 @@
+import path from "node:path";
+import { searchFilesRecursive } from "./search-files-recursive.js";
+import { getInodeKey } from "./search-entry.js";
+import { nodeFileSystem } from "./file-system.js";
+
+/**
+ * @typedef {Object} UsageNode - Totals of a directory and everything below it.
+ * @property {String} path - Path relative to the measured directory, "" for itself.
+ * @property {String} name - Directory name.
+ * @property {Number} size - Combined size in bytes of the files below it.
+ * @property {Number} files - Number of files below it.
+ * @property {Number} depth - 0 for the measured directory.
+ * @property {UsageNode[]} children - Subdirectories, largest first. Left empty past
+ * maxDepth, although their files still count in the totals.
+ *
+ * @typedef {Object} UsageFile
+ * @property {String} path - Path relative to the measured directory.
+ * @property {Number} size - Size in bytes.
+ *
+ * @typedef {Object} DirectoryUsage
+ * @property {String} directory - Measured directory.
+ * @property {UsageNode} root - Totals of the measured directory.
+ * @property {UsageFile[]} largestFiles - Largest files, largest first.
+ * @property {UsageNode[]} largestDirectories - Largest subdirectories at any depth,
+ * largest first.
+ */
+
+/**
+ * @typedef {Object} UsageOptions
+ * @property {import("./search-files-recursive.js").fileFilter} [inputOptions.filter] -
+ * Function that determines which files count, given their relative path.
+ * @property {String[]|null} [inputOptions.include = null] - Gitignore-style patterns. Only
+ * matching files count.
+ * @property {String[]|null} [inputOptions.exclude = null] - Gitignore-style patterns.
+ * Matching files and directories are left out.
+ * @property {String[]|null} [inputOptions.ignoreFiles = null] - Names of gitignore-style
+ * files whose patterns leave files out, such as [".gitignore"].
+ * @property {Boolean} [inputOptions.followSymlinks = false] - Count the files of
+ * symbolically linked directories as well.
+ * @property {Number} [inputOptions.maxDepth = 0] - Deepest level of subdirectories
+ * listed in the tree, 1 being the directories directly inside the measured directory.
+ * Default (0) means no limit.
+ * @property {Number} [inputOptions.top = 10] - Number of largest files and directories
+ * returned. 0 returns none.
+ * @property {Number} [inputOptions.concurrency = 8] - Max number of directories read at
+ * once.
+ * @property {import("./file-system.js").FileSystem} [inputOptions.fileSystem] - Filesystem
+ * to measure. Defaults to the real disk.
+ */
+
+/**
+ * Total the size and number of files of a directory and each of its subdirectories, like
+ * `du`. Sizes are apparent file sizes, and a file with several hard links counts once.
+ * @param {String} directory - Directory to measure.
+ * @param {UsageOptions} [inputOptions] - Configurable options.
+ * @returns {Promise<DirectoryUsage>}
+ */
+async function directoryUsage(directory, inputOptions = {}) {
+    const defaultOptions = {
+        filter: null,
+        include: null,
+        exclude: null,
+        ignoreFiles: null,
+        followSymlinks: false,
+        maxDepth: 0,
+        top: 10,
+        concurrency: 8,
+        fileSystem: nodeFileSystem,
+    };
+    const { maxDepth, top, followSymlinks, ...searchOptions } = {
+        ...defaultOptions,
+        ...inputOptions,
+    };
+
+    /** @type {import("./search-entry.js").SearchEntry[]} */
+    const entries = await searchFilesRecursive(directory, {
+        ...searchOptions,
+        followSymlinks,
+        includeSymlinks: followSymlinks,
+        includeDirectories: true,
+        withStats: true,
+    });
+
+    const root = createUsageNode("", path.basename(path.resolve(directory)));
+    /** @type {Map<String, UsageNode>} */
+    const nodes = new Map([["", root]]);
+    const getNode = (relativePath) => {
+        const existing = nodes.get(relativePath);
+        if (existing) return existing;
+
+        const node = createUsageNode(relativePath, path.basename(relativePath));
+        nodes.set(relativePath, node);
+        getParentNode(relativePath).children.push(node);
+        return node;
+    };
+    const getParentNode = (relativePath) => {
+        const parentPath = path.dirname(relativePath);
+        return getNode(parentPath === "." ? "" : parentPath);
+    };
+
+    const seenFiles = new Set();
+    /** @type {UsageFile[]} */
+    const files = [];
+    entries.forEach((entry) => {
+        if (entry.type === "directory") {
+            getNode(entry.relativePath);
+            return;
+        }
+        if (entry.type !== "file") return;
+
+        const inodeKey = getInodeKey(entry.stats);
+        if (seenFiles.has(inodeKey)) return;
+        seenFiles.add(inodeKey);
+
+        files.push({ path: entry.relativePath, size: entry.size });
+        for (
+            let node = getParentNode(entry.relativePath);
+            node;
+            node = node.path ? getParentNode(node.path) : null
+        ) {
+            node.size += entry.size;
+            node.files++;
+        }
+    });
+
+    const bySize = (a, b) => b.size - a.size;
+    nodes.forEach((node) => {
+        node.depth = node.path ? node.path.split(path.sep).length : 0;
+        node.children.sort(bySize);
+    });
+    const directories = [...nodes.values()].filter((node) => node !== root);
+    const largestDirectories = directories.sort(bySize).slice(0, top);
+    nodes.forEach((node) => {
+        if (maxDepth > 0 && node.depth >= maxDepth) node.children = [];
+    });
+
+    return {
+        directory,
+        root,
+        largestFiles: files.sort(bySize).slice(0, top),
+        largestDirectories,
+    };
+}
+
+/**
+ * @param {String} relativePath
+ * @param {String} name
+ * @returns {UsageNode}
+ */
+function createUsageNode(relativePath, name) {
+    return {
+        path: relativePath,
+        name,
+        size: 0,
+        files: 0,
+        depth: 0,
+        children: [],
+    };
+}
+
+export { directoryUsage };
@@ -0,0 +1,46 @@
+/**
+ * @typedef {{log: (message: String) => void}} Logger - Receives human readable
+ * progress messages. `console` works as a logger.
+ *
+ * @typedef {{type: String, path?: String, [key: string]: any}} FsEvent - Structured
+ * event emitted for each step of a file system operation.
+ *
+ * @callback EventCallback
+ * @param {FsEvent} event
+ * @returns {void}
+ *
+ * @typedef {Object} EventLoggerOptions
+ * @property {Logger|null} [logger = console] - Where messages are written. Null silences
+ * all output.
+ * @property {EventCallback|null} [onEvent = null] - Callback that receives every event.
+ */
+
+/**
+ * @typedef {Object} EventLogger
+ * @property {(message: String) => void} log - Write a message to the logger.
+ * @property {(event: FsEvent, message?: String) => void} emit - Send an event to
+ * onEvent, and its message (if any) to the logger.
+ */
+
+/**
+ * Combine a logger and an event callback into a single reporting interface.
+ * @param {EventLoggerOptions} [inputOptions = {}]
+ * @returns {EventLogger}
+ */
+function createEventLogger(inputOptions = {}) {
+    const { logger = console, onEvent = null } = inputOptions;
+
+    const log = (message) => {
+        if (logger) logger.log(message);
+    };
+
+    return {
+        log,
+        emit: (event, message) => {
+            if (typeof onEvent === "function") onEvent(event);
+            if (message !== undefined) log(message);
+        },
+    };
+}
+
+export { createEventLogger };
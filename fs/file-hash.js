@@ -0,0 +1,115 @@
+import { createHash } from "node:crypto";
+import { nodeFileSystem } from "./file-system.js";
+
+/**
+ * @typedef {Object} HashCacheEntry
+ * @property {Number} size - File size when the hash was computed.
+ * @property {Number} mtimeMs - File modification time when the hash was computed.
+ * @property {String} hash - Hex digest of the file contents.
+ *
+ * @typedef {{size: Number, mtimeMs: Number}} FileStamp - Subset of fs.Stats used to
+ * validate cached hashes.
+ */
+
+/**
+ * @typedef {Object} HashCache - Persistent cache of file hashes.
+ * @property {(filePath: String, stats: FileStamp) => Promise<String>} hash - Return
+ * the cached hash of a file, hashing it again if its size or mtime changed.
+ * @property {(sourcePath: String, copyPath: String) => Promise<void>} recordCopy - Reuse
+ * the hash of a source file for its freshly written copy.
+ * @property {(inputOptions?: {keepUnused?: Boolean}) => Promise<void>} save - Write used
+ * entries back to the cache file. Entries that were not used are dropped unless keepUnused
+ * is set.
+ */
+
+/**
+ * Asynchronously hash the contents of a file without loading it into memory.
+ * @param {String} filePath - File to hash.
+ * @param {String} [algorithm = "sha256"] - Any algorithm supported by node:crypto.
+ * @param {import("./file-system.js").FileSystem} [fileSystem] - Filesystem the file is
+ * read from. Defaults to the real disk.
+ * @param {{start?: Number, end?: Number}} [range] - Only hash the bytes from start to end
+ * (inclusive). Defaults to the whole file.
+ * @returns {Promise<String>} - Hex digest of the file contents.
+ */
+async function hashFile(
+    filePath,
+    algorithm = "sha256",
+    fileSystem = nodeFileSystem,
+    range = {}
+) {
+    const hash = createHash(algorithm);
+    for await (const chunk of fileSystem.createReadStream(filePath, range)) {
+        hash.update(chunk);
+    }
+    return hash.digest("hex");
+}
+
+/**
+ * Load a hash cache manifest. Missing or unreadable manifests start an empty cache.
+ * @param {String} cachePath - JSON file the cache is read from and saved to.
+ * @param {{fileSystem?: import("./file-system.js").FileSystem}} [inputOptions] - Filesystem
+ * holding the cache and the hashed files. Defaults to the real disk.
+ * @returns {Promise<HashCache>}
+ */
+async function loadHashCache(cachePath, inputOptions = {}) {
+    const { fileSystem } = { fileSystem: nodeFileSystem, ...inputOptions };
+    const entries = await readCacheEntries(cachePath, fileSystem);
+    /** @type {Map<String, HashCacheEntry>} */
+    const usedEntries = new Map();
+
+    return {
+        hash: async (filePath, stats) => {
+            const cached = entries[filePath];
+            const isValid =
+                cached &&
+                cached.size === stats.size &&
+                cached.mtimeMs === stats.mtimeMs;
+
+            const hash = isValid
+                ? cached.hash
+                : await hashFile(filePath, "sha256", fileSystem);
+            usedEntries.set(filePath, {
+                size: stats.size,
+                mtimeMs: stats.mtimeMs,
+                hash,
+            });
+            return hash;
+        },
+        recordCopy: async (sourcePath, copyPath) => {
+            const source = usedEntries.get(sourcePath);
+            if (!source) return;
+            const { size, mtimeMs } = await fileSystem.stat(copyPath);
+            usedEntries.set(copyPath, { size, mtimeMs, hash: source.hash });
+        },
+        save: async (inputOptions = {}) => {
+            const { keepUnused } = { keepUnused: false, ...inputOptions };
+            const files = {
+                ...(keepUnused ? entries : {}),
+                ...Object.fromEntries(usedEntries),
+            };
+            await fileSystem.writeFile(
+                cachePath,
+                JSON.stringify({ version: 1, files })
+            );
+        },
+    };
+}
+
+/**
+ *
+ * @param {String} cachePath
+ * @param {import("./file-system.js").FileSystem} fileSystem
+ * @returns {Promise<{[filePath: string]: HashCacheEntry}>}
+ */
+async function readCacheEntries(cachePath, fileSystem) {
+    try {
+        const contents = await fileSystem.readFile(cachePath, "utf8");
+        const { files } = JSON.parse(contents);
+        return files && typeof files === "object" ? files : {};
+    } catch {
+        return {};
+    }
+}
+
+export { hashFile, loadHashCache };
@@ -0,0 +1,83 @@
+import fs from "node:fs/promises";
+import { existsSync, createReadStream, createWriteStream } from "node:fs";
+
+/**
+ * @typedef {Object} FileStats - Subset of fs.Stats used by the fs utilities.
+ * @property {Number} size
+ * @property {Number} mode
+ * @property {Number} dev
+ * @property {Number} ino
+ * @property {Number} mtimeMs
+ * @property {Number} atimeMs
+ * @property {Date} mtime
+ * @property {Date} atime
+ * @property {() => Boolean} isFile
+ * @property {() => Boolean} isDirectory
+ * @property {() => Boolean} isSymbolicLink
+ *
+ * @typedef {Object} DirectoryEntry - Subset of fs.Dirent used by the fs utilities.
+ * @property {String} name
+ * @property {() => Boolean} isFile
+ * @property {() => Boolean} isDirectory
+ * @property {() => Boolean} isSymbolicLink
+ */
+
+/**
+ * Filesystem operations used by the fs utilities. Every function behaves like its
+ * node:fs/promises counterpart, and fails with the same error codes.
+ *
+ * @typedef {Object} FileSystem
+ * @property {(directory: String, options: {withFileTypes: true}) =>
+ * Promise<DirectoryEntry[]>} readdir
+ * @property {(filePath: String) => Promise<FileStats>} stat
+ * @property {(filePath: String) => Promise<FileStats>} lstat
+ * @property {(directory: String, options?: {recursive?: Boolean}) =>
+ * Promise<any>} mkdir
+ * @property {(filePath: String, options?: {recursive?: Boolean, force?: Boolean}) =>
+ * Promise<void>} rm
+ * @property {(directory: String) => Promise<void>} rmdir
+ * @property {(oldPath: String, newPath: String) => Promise<void>} rename
+ * @property {(source: String, destination: String) => Promise<void>} copyFile
+ * @property {(target: String, filePath: String) => Promise<void>} symlink
+ * @property {(existingPath: String, newPath: String) => Promise<void>} link
+ * @property {(filePath: String) => Promise<String>} readlink
+ * @property {(filePath: String, encoding: "utf8") => Promise<String>} readFile
+ * @property {(filePath: String, data: String) => Promise<void>} writeFile
+ * @property {(filePath: String, data: String) => Promise<void>} appendFile
+ * @property {(filePath: String, atime: Date, mtime: Date) => Promise<void>} utimes
+ * @property {(filePath: String, atime: Date, mtime: Date) => Promise<void>} lutimes
+ * @property {(filePath: String, mode: Number) => Promise<void>} chmod
+ * @property {(filePath: String) => Boolean} existsSync
+ * @property {(filePath: String, options?: {start?: Number, end?: Number}) =>
+ * import("node:stream").Readable} createReadStream
+ * @property {(filePath: String) => import("node:stream").Writable} createWriteStream
+ */
+
+/**
+ * FileSystem backed by the real disk through node:fs.
+ * @type {FileSystem}
+ */
+const nodeFileSystem = {
+    readdir: fs.readdir,
+    stat: fs.stat,
+    lstat: fs.lstat,
+    mkdir: fs.mkdir,
+    rm: fs.rm,
+    rmdir: fs.rmdir,
+    rename: fs.rename,
+    copyFile: fs.copyFile,
+    symlink: fs.symlink,
+    link: fs.link,
+    readlink: fs.readlink,
+    readFile: fs.readFile,
+    writeFile: fs.writeFile,
+    appendFile: fs.appendFile,
+    utimes: fs.utimes,
+    lutimes: fs.lutimes,
+    chmod: fs.chmod,
+    existsSync,
+    createReadStream,
+    createWriteStream,
+};
+
+export { nodeFileSystem };
@@ -0,0 +1,352 @@
+import path from "node:path";
+import { searchFilesRecursive } from "./search-files-recursive.js";
+import { getInodeKey } from "./search-entry.js";
+import { hashFile } from "./file-hash.js";
+import { createEventLogger } from "./event-logger.js";
+import { nodeFileSystem } from "./file-system.js";
+import { createConcurrencyLimiter } from "../misc/concurrency-limiter.js";
+import { formatBytes } from "../string/format-bytes.js";
+
+const TEMP_FILE_SUFFIX = ".dedupe-tmp";
+
+/**
+ * @typedef {Object} DuplicateGroup - Files with the same contents.
+ * @property {Number} size - Size in bytes of each file.
+ * @property {String} hash - Content hash shared by the files.
+ * @property {String[]} files - Full paths of the files, the keeper first.
+ * @property {String} keeper - File the "hardlink" and "delete" actions keep.
+ * @property {Number} wastedBytes - Bytes taken by every copy but the keeper.
+ *
+ * @typedef {Object} DuplicateError
+ * @property {String} path - Full path of the file.
+ * @property {Error} error
+ *
+ * @typedef {Object} DuplicateReport
+ * @property {DuplicateGroup[]} groups - Duplicate groups, most wasted bytes first.
+ * @property {Number} wastedBytes - Combined wasted bytes of every group.
+ * @property {String[]} linked - Files replaced by a hard link to their keeper.
+ * @property {String[]} deleted - Deleted files.
+ * @property {DuplicateError[]} errors - Files that could not be hashed, linked or
+ * deleted. They are left as they are.
+ */
+
+/**
+ * Callback that chooses the file a duplicate group keeps.
+ * @callback KeeperCallback
+ * @param {import("./search-entry.js").SearchEntry[]} files - Files of the group, in the
+ * order of the searched directories, then by path.
+ * @returns {import("./search-entry.js").SearchEntry|String} - Kept file, or its full path.
+ */
+
+/**
+ * @typedef {Object} DuplicateOptions
+ * @property {String[]|null} [inputOptions.include = null] - Gitignore-style patterns, relative
+ * to each searched directory. Only matching files are compared.
+ * @property {String[]|null} [inputOptions.exclude = null] - Gitignore-style patterns, relative
+ * to each searched directory. Matching files are left out.
+ * @property {String[]|null} [inputOptions.ignoreFiles = null] - Names of gitignore-style
+ * files whose patterns leave files out, such as [".gitignore"].
+ * @property {Number} [inputOptions.minSize = 1] - Smallest file size compared, in bytes.
+ * Empty files are left out by default.
+ * @property {Number} [inputOptions.partialSize = 65536] - Bytes hashed at the start of each
+ * file before hashing whole files, so files that differ early are never read in full.
+ * @property {String} [inputOptions.algorithm = "sha256"] - Any algorithm supported by
+ * node:crypto.
+ * @property {"hardlink"|"delete"|null} [inputOptions.action = null] - Replace duplicates
+ * with a hard link to their keeper, delete them, or only report them (null).
+ * @property {"first"|"oldest"|"newest"|KeeperCallback} [inputOptions.keep = "first"] -
+ * File each group keeps: the first found, the oldest or newest by modification time, or
+ * the one a callback chooses.
+ * @property {Boolean} [inputOptions.dryRun = false] - Report what the action would do
+ * without changing any file.
+ * @property {Number} [inputOptions.concurrency = 8] - Max number of files hashed at once.
+ * @property {import("./event-logger.js").Logger|null} [inputOptions.logger = console] - Where
+ * progress messages are written. Null runs silently.
+ * @property {import("./event-logger.js").EventCallback} [inputOptions.onEvent] - Receives a
+ * "link" or "delete" event for each duplicate the action handles.
+ * @property {import("./file-system.js").FileSystem} [inputOptions.fileSystem] - Filesystem
+ * to search. Defaults to the real disk.
+ */
+
+/**
+ * Find files with identical contents in one or more directories. Files are grouped by
+ * size, then by a hash of their first bytes, and only confirmed with a hash of their
+ * whole contents. Paths that are already hard links to the same file count once.
+ * @param {String|String[]} directories - Directories to search.
+ * @param {DuplicateOptions} [inputOptions] - Configurable options.
+ * @returns {Promise<DuplicateReport>}
+ */
+async function findDuplicateFiles(directories, inputOptions = {}) {
+    const defaultOptions = {
+        include: null,
+        exclude: null,
+        ignoreFiles: null,
+        minSize: 1,
+        partialSize: 64 * 1024,
+        algorithm: "sha256",
+        action: /** @type {"hardlink"|"delete"|null} */ (null),
+        keep: /** @type {"first"|"oldest"|"newest"|KeeperCallback} */ ("first"),
+        dryRun: false,
+        concurrency: 8,
+        fileSystem: nodeFileSystem,
+    };
+    const options = { ...defaultOptions, ...inputOptions };
+    const { partialSize, algorithm, action, keep, fileSystem } = options;
+    if (action && !["hardlink", "delete"].includes(action)) {
+        throw new Error(`Error: unknown duplicate action '${action}'.`);
+    }
+
+    const events = createEventLogger(inputOptions);
+    const limit = createConcurrencyLimiter(options.concurrency);
+    /** @type {DuplicateReport} */
+    const report = {
+        groups: [],
+        wastedBytes: 0,
+        linked: [],
+        deleted: [],
+        errors: [],
+    };
+
+    const files = await listCandidates([directories].flat(), options);
+
+    const hash = (range) => (file) =>
+        limit(() =>
+            hashFile(file.fullPath, algorithm, fileSystem, range)
+        ).catch((error) => {
+            report.errors.push({ path: file.fullPath, error });
+            return null;
+        });
+    const hashStart = hash({ start: 0, end: partialSize - 1 });
+    const hashWhole = hash({});
+
+    const sizeGroups = groupBy(files, (file) => file.size);
+    const partialGroups = await Promise.all(
+        sizeGroups.map(async (group) => {
+            if (group[0].size <= partialSize) return [group];
+            const groups = await groupByHash(group, hashStart);
+            return groups.map((partialGroup) => partialGroup.files);
+        })
+    );
+    const hashGroups = await Promise.all(
+        partialGroups.flat().map(async (group) => {
+            const groups = await groupByHash(group, hashWhole);
+            return groups.map((hashGroup) =>
+                createDuplicateGroup(hashGroup.files, hashGroup.hash, keep)
+            );
+        })
+    );
+
+    report.groups = hashGroups
+        .flat()
+        .sort((a, b) => b.wastedBytes - a.wastedBytes);
+    report.wastedBytes = report.groups.reduce(
+        (total, group) => total + group.wastedBytes,
+        0
+    );
+
+    if (action) {
+        for (const group of report.groups) {
+            await handleDuplicates(group, options, { events, report });
+        }
+    }
+
+    events.log(
+        `${report.groups.length} group(s) of duplicate files, ${formatBytes(
+            report.wastedBytes
+        )} wasted.`
+    );
+    return report;
+}
+
+/**
+ * Search every directory for the files that can have duplicates, counting each hard
+ * linked file once.
+ * @param {String[]} directories
+ * @param {DuplicateOptions} options
+ * @returns {Promise<import("./search-entry.js").SearchEntry[]>}
+ */
+async function listCandidates(directories, options) {
+    const { include, exclude, ignoreFiles, minSize, concurrency, fileSystem } =
+        options;
+    const seenFiles = new Set();
+
+    const searches = await Promise.all(
+        directories.map((directory) =>
+            searchFilesRecursive(path.resolve(directory), {
+                include,
+                exclude,
+                ignoreFiles,
+                includeSymlinks: false,
+                withStats: true,
+                sort: "name",
+                concurrency,
+                fileSystem,
+            })
+        )
+    );
+
+    return searches.flat().filter((file) => {
+        const inodeKey = getInodeKey(file.stats);
+        if (file.type !== "file" || file.size < minSize) return false;
+        if (seenFiles.has(inodeKey)) return false;
+        seenFiles.add(inodeKey);
+        return true;
+    });
+}
+
+/**
+ * Split items into groups sharing the same key, keeping groups of two or more.
+ * @template T
+ * @param {T[]} items
+ * @param {(item: T) => any} getKey
+ * @returns {T[][]}
+ */
+function groupBy(items, getKey) {
+    const groups = new Map();
+    items.forEach((item) => {
+        const key = getKey(item);
+        groups.set(key, [...(groups.get(key) || []), item]);
+    });
+    return [...groups.values()].filter((group) => group.length > 1);
+}
+
+/**
+ * Split files into groups sharing the same hash, keeping groups of two or more. Files
+ * that could not be hashed are left out.
+ * @param {import("./search-entry.js").SearchEntry[]} files
+ * @param {(file: import("./search-entry.js").SearchEntry) => Promise<String|null>} hash
+ * @returns {Promise<{hash: String, files: import("./search-entry.js").SearchEntry[]}[]>}
+ */
+async function groupByHash(files, hash) {
+    const hashes = await Promise.all(files.map(hash));
+    const hashed = files
+        .map((file, index) => ({ hash: hashes[index], file }))
+        .filter((entry) => entry.hash !== null);
+
+    return groupBy(hashed, (entry) => entry.hash).map((group) => ({
+        hash: group[0].hash,
+        files: group.map(({ file }) => file),
+    }));
+}
+
+/**
+ * @param {import("./search-entry.js").SearchEntry[]} files
+ * @param {String} hash
+ * @param {"first"|"oldest"|"newest"|KeeperCallback} keep
+ * @returns {DuplicateGroup}
+ */
+function createDuplicateGroup(files, hash, keep) {
+    const keeper = chooseKeeper(files, keep);
+    const { size } = files[0];
+    return {
+        size,
+        hash,
+        files: [
+            keeper,
+            ...files
+                .map((file) => file.fullPath)
+                .filter((filePath) => filePath !== keeper),
+        ],
+        keeper,
+        wastedBytes: size * (files.length - 1),
+    };
+}
+
+/**
+ * @param {import("./search-entry.js").SearchEntry[]} files
+ * @param {"first"|"oldest"|"newest"|KeeperCallback} keep
+ * @returns {String} - Full path of the kept file.
+ */
+function chooseKeeper(files, keep) {
+    const byTime = (pick) =>
+        files.reduce((kept, file) =>
+            pick(file.mtime.getTime(), kept.mtime.getTime()) ? file : kept
+        );
+
+    if (typeof keep === "function") {
+        const kept = keep(files);
+        const keptPath = typeof kept === "string" ? kept : kept?.fullPath;
+        if (!files.some((file) => file.fullPath === keptPath)) {
+            throw new Error(
+                `Error: keep callback returned '${keptPath}', which is not in the group.`
+            );
+        }
+        return keptPath;
+    }
+
+    switch (keep) {
+        case "first":
+            return files[0].fullPath;
+        case "oldest":
+            return byTime((time, keptTime) => time < keptTime).fullPath;
+        case "newest":
+            return byTime((time, keptTime) => time > keptTime).fullPath;
+        default:
+            throw new Error(`Error: unknown keep strategy '${keep}'.`);
+    }
+}
+
+/**
+ * Link or delete every file of a group but its keeper.
+ * @param {DuplicateGroup} group
+ * @param {{
+ * action: "hardlink"|"delete"
+ * dryRun: Boolean
+ * fileSystem: import("./file-system.js").FileSystem}} options
+ * @param {{
+ * events: import("./event-logger.js").EventLogger
+ * report: DuplicateReport}} context
+ * @returns {Promise<void>}
+ */
+async function handleDuplicates(group, options, context) {
+    const { action, dryRun, fileSystem } = options;
+    const { events, report } = context;
+    const { keeper } = group;
+
+    for (const filePath of group.files.slice(1)) {
+        try {
+            if (action === "hardlink") {
+                if (!dryRun)
+                    await replaceWithLink(keeper, filePath, fileSystem);
+                report.linked.push(filePath);
+                events.emit(
+                    { type: "link", path: filePath, keeper },
+                    `link: ${filePath} -> ${keeper}`
+                );
+            } else {
+                if (!dryRun) await fileSystem.rm(filePath);
+                report.deleted.push(filePath);
+                events.emit(
+                    { type: "delete", path: filePath, keeper },
+                    `delete: ${filePath}`
+                );
+            }
+        } catch (error) {
+            report.errors.push({ path: filePath, error });
+        }
+    }
+}
+
+/**
+ * Replace a file with a hard link to another one. The link is created next to the file
+ * and renamed over it, so the file is never missing.
+ * @param {String} keeper
+ * @param {String} filePath
+ * @param {import("./file-system.js").FileSystem} fileSystem
+ * @returns {Promise<void>}
+ */
+async function replaceWithLink(keeper, filePath, fileSystem) {
+    const tempPath = path.join(
+        path.dirname(filePath),
+        `.${path.basename(filePath)}${TEMP_FILE_SUFFIX}`
+    );
+    try {
+        await fileSystem.link(keeper, tempPath);
+        await fileSystem.rename(tempPath, filePath);
+    } catch (error) {
+        await fileSystem.rm(tempPath, { force: true });
+        throw error;
+    }
+}
+
+export { findDuplicateFiles };
@@ -0,0 +1,21 @@
+import { parseIgnoreFile, matchIgnoreRules } from "./path-patterns.js";
+
+/**
+ * Gitignore-style patterns of the system files that do not count towards a directory's
+ * contents.
+ * @type {String[]}
+ */
+const DEFAULT_JUNK_PATTERNS = [".DS_Store", "Desktop.ini"];
+
+/**
+ * Create a check for junk files from gitignore-style patterns. Only the file's own path
+ * is matched: a file is not junk because a parent directory matches a pattern.
+ * @param {String[]} [patterns = DEFAULT_JUNK_PATTERNS]
+ * @returns {(relativePath: String) => Boolean} - Whether the file is junk.
+ */
+function createJunkFilter(patterns = DEFAULT_JUNK_PATTERNS) {
+    const rules = [parseIgnoreFile(patterns.join("\n"))];
+    return (relativePath) => matchIgnoreRules(rules, relativePath);
+}
+
+export { DEFAULT_JUNK_PATTERNS, createJunkFilter };
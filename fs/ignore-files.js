@@ -0,0 +1,31 @@
+import path from "node:path";
+import { parseIgnoreFile } from "./path-patterns.js";
+
+/**
+ * Read the ignore files found in a directory, in the order ignoreFiles lists them.
+ * @param {String} fullPath - Directory the entries were read from.
+ * @param {String} relativeDirectory - Directory relative to the searched directory.
+ * @param {import("./file-system.js").DirectoryEntry[]} entries
+ * @param {{
+ * ignoreFiles: String[]
+ * fileSystem: import("./file-system.js").FileSystem}} options
+ * @returns {Promise<import("./path-patterns.js").IgnoreRules[]>}
+ */
+async function readIgnoreFiles(fullPath, relativeDirectory, entries, options) {
+    const { ignoreFiles, fileSystem } = options;
+    const fileNames = new Set(
+        entries.filter((entry) => !entry.isDirectory()).map(({ name }) => name)
+    );
+
+    return await Promise.all(
+        ignoreFiles
+            .filter((name) => fileNames.has(name))
+            .map(async (name) => {
+                const ignorePath = path.join(fullPath, name);
+                const contents = await fileSystem.readFile(ignorePath, "utf8");
+                return parseIgnoreFile(contents, relativeDirectory);
+            })
+    );
+}
+
+export { readIgnoreFiles };
@@ -1,3 +1,15 @@
 export * from "./clean-empty-folders.js";
 export * from "./search-files-recursive.js";
 export * from "./sync-directories.js";
+export * from "./file-hash.js";
+export * from "./watch-directories.js";
+export * from "./sync-trash.js";
+export * from "./path-patterns.js";
+export * from "./file-system.js";
+export * from "./memory-file-system.js";
+export * from "./walk-files.js";
+export * from "./find-duplicate-files.js";
+export * from "./directory-manifest.js";
+export * from "./directory-usage.js";
+export * from "./search-file-contents.js";
+export * from "./prune-files.js";
@@ -0,0 +1,612 @@
+import path from "node:path";
+import { Readable, Writable } from "node:stream";
+
+const MAX_SYMLINK_DEPTH = 40;
+const CHUNK_SIZE = 64 * 1024;
+const FILE_TYPE_BITS = {
+    file: 0o100000,
+    directory: 0o040000,
+    symlink: 0o120000,
+};
+
+/**
+ * @typedef {Object} MemoryNode
+ * @property {"file"|"directory"|"symlink"} type
+ * @property {Number} ino
+ * @property {Number} mode - Permission bits.
+ * @property {Number} mtimeMs
+ * @property {Number} atimeMs
+ * @property {Buffer} [content] - File contents.
+ * @property {String} [target] - Symbolic link target.
+ * @property {Map<String, MemoryNode>} [entries] - Directory entries by name.
+ */
+
+/**
+ * Initial contents of a memory filesystem, keyed by absolute path. Keys ending with "/"
+ * create directories. Values are file contents, or objects giving the contents (or
+ * symlink target), modification time and permission bits.
+ * @typedef {{[filePath: string]: String|Buffer|{
+ * content?: String|Buffer
+ * symlink?: String
+ * mtimeMs?: Number
+ * mode?: Number}|null}} MemoryFiles
+ */
+
+/**
+ * @typedef {Object} FailureOptions
+ * @property {String} [code = "EACCES"] - Error code the operations fail with.
+ * @property {String[]|null} [operations = null] - Operations that fail, e.g. ["copyFile"].
+ * Null fails every operation.
+ * @property {Number} [times = Infinity] - Number of failures before the path works again.
+ */
+
+/**
+ * @typedef {import("./file-system.js").FileSystem & {
+ * fail: (targetPath: String, inputOptions?: FailureOptions) => void
+ * }} MemoryFileSystem - FileSystem kept in memory. fail makes operations on a path, and
+ * on everything below it, throw an error.
+ */
+
+/**
+ * Create a FileSystem that lives in memory, to run the fs utilities without touching
+ * the disk. It keeps files, directories, symbolic and hard links, modification times and
+ * permission bits: files without read permission (0o400) cannot be read and directories
+ * without write permission (0o200) cannot be changed.
+ * @param {Object} [inputOptions] - Configurable options.
+ * @param {MemoryFiles} [inputOptions.files = {}] - Initial contents.
+ * @param {() => Number} [inputOptions.now = Date.now] - Clock used for modification times.
+ * @returns {MemoryFileSystem}
+ */
+function createMemoryFileSystem(inputOptions = {}) {
+    const defaultOptions = {
+        files: {},
+        now: Date.now,
+    };
+    const { files, now } = { ...defaultOptions, ...inputOptions };
+
+    let lastIno = 0;
+    const failures = [];
+    const root = createNode("directory");
+
+    /**
+     * @param {MemoryNode["type"]} type
+     * @param {{content?: Buffer, target?: String, mode?: Number, mtimeMs?: Number}} [fields]
+     * @returns {MemoryNode}
+     */
+    function createNode(type, fields = {}) {
+        const time = fields.mtimeMs ?? now();
+        return {
+            type,
+            ino: ++lastIno,
+            mode: fields.mode ?? (type === "directory" ? 0o755 : 0o644),
+            mtimeMs: time,
+            atimeMs: time,
+            ...(type === "file" && {
+                content: fields.content || Buffer.alloc(0),
+            }),
+            ...(type === "symlink" && { target: fields.target }),
+            ...(type === "directory" && { entries: new Map() }),
+        };
+    }
+
+    /**
+     * Walk to a path, following symbolic links in every segment, and in the last
+     * segment when followLast is set.
+     * @param {String} inputPath
+     * @param {Boolean} followLast
+     * @param {Number} [depth]
+     * @returns {{node: MemoryNode|null, parent: MemoryNode|null, name: String, path: String}}
+     * - node is null when the path does not exist.
+     */
+    function lookup(inputPath, followLast, depth = 0) {
+        const resolved = path.resolve(inputPath);
+        const { root: rootPath } = path.parse(resolved);
+        const segments = resolved
+            .slice(rootPath.length)
+            .split(path.sep)
+            .filter(Boolean);
+        let current = { node: root, parent: root, name: "", path: rootPath };
+
+        for (const [index, name] of segments.entries()) {
+            const isLast = index === segments.length - 1;
+            const directory = current.node;
+            if (!directory) {
+                return {
+                    node: null,
+                    parent: null,
+                    name: path.basename(resolved),
+                    path: resolved,
+                };
+            }
+            if (directory.type !== "directory") {
+                throw createError("ENOTDIR", "lstat", inputPath);
+            }
+
+            const node = directory.entries.get(name) || null;
+            const nodePath = path.join(current.path, name);
+            current = { node, parent: directory, name, path: nodePath };
+
+            if (node?.type === "symlink" && (!isLast || followLast)) {
+                if (depth >= MAX_SYMLINK_DEPTH) {
+                    throw createError("ELOOP", "stat", inputPath);
+                }
+                const targetPath = path.resolve(
+                    path.dirname(nodePath),
+                    node.target
+                );
+                current = lookup(targetPath, true, depth + 1);
+            }
+        }
+        return current;
+    }
+
+    /**
+     * @param {String} operation
+     * @param {String} filePath
+     * @param {Boolean} [followLast]
+     */
+    function existing(operation, filePath, followLast = true) {
+        const found = lookup(filePath, followLast);
+        if (!found.node) throw createError("ENOENT", operation, filePath);
+        return found;
+    }
+
+    /**
+     * Find where a new entry is created, checking its parent directory.
+     * @param {String} operation
+     * @param {String} filePath
+     */
+    function creatable(operation, filePath) {
+        const found = lookup(filePath, false);
+        const parent = lookup(path.dirname(path.resolve(filePath)), true);
+        if (!parent.node) throw createError("ENOENT", operation, filePath);
+        if (parent.node.type !== "directory") {
+            throw createError("ENOTDIR", operation, filePath);
+        }
+        checkWritable(operation, filePath, parent.node);
+        return { ...found, parent: parent.node };
+    }
+
+    /**
+     * @param {String} operation
+     * @param {String} filePath
+     * @param {MemoryNode} node
+     */
+    function checkReadable(operation, filePath, node) {
+        if (!(node.mode & 0o400)) {
+            throw createError("EACCES", operation, filePath);
+        }
+    }
+
+    /**
+     * @param {String} operation
+     * @param {String} filePath
+     * @param {MemoryNode} directory
+     */
+    function checkWritable(operation, filePath, directory) {
+        if (!(directory.mode & 0o200)) {
+            throw createError("EACCES", operation, filePath);
+        }
+    }
+
+    /**
+     * Throw the injected failure registered for a path, if any.
+     * @param {String} operation
+     * @param {...String} filePaths
+     */
+    function checkFailures(operation, ...filePaths) {
+        for (const filePath of filePaths) {
+            const resolved = path.resolve(filePath);
+            const failure = failures.find(
+                (entry) =>
+                    (!entry.operations ||
+                        entry.operations.includes(operation)) &&
+                    isWithin(entry.path, resolved)
+            );
+            if (!failure) continue;
+
+            failure.times--;
+            if (failure.times <= 0) {
+                failures.splice(failures.indexOf(failure), 1);
+            }
+            throw createError(failure.code, operation, filePath);
+        }
+    }
+
+    /**
+     * @param {MemoryNode} parent
+     * @param {String} name
+     * @param {MemoryNode} node
+     */
+    function attach(parent, name, node) {
+        parent.entries.set(name, node);
+        parent.mtimeMs = now();
+    }
+
+    /**
+     * @param {MemoryNode} parent
+     * @param {String} name
+     */
+    function detach(parent, name) {
+        parent.entries.delete(name);
+        parent.mtimeMs = now();
+    }
+
+    /**
+     * @param {String} filePath
+     * @param {Buffer} content
+     * @param {Boolean} append
+     */
+    function writeContent(filePath, content, append) {
+        const operation = append ? "appendFile" : "writeFile";
+        const found = lookup(filePath, true);
+        if (found.node?.type === "directory") {
+            throw createError("EISDIR", operation, filePath);
+        }
+        if (found.node) {
+            found.node.content = append
+                ? Buffer.concat([found.node.content, content])
+                : content;
+            found.node.mtimeMs = now();
+            return;
+        }
+        const { parent, name } = creatable(operation, found.path);
+        attach(parent, name, createNode("file", { content }));
+    }
+
+    /**
+     * @param {String} filePath
+     * @param {Boolean} followLast
+     */
+    function makeStats(filePath, followLast) {
+        const operation = followLast ? "stat" : "lstat";
+        checkFailures(operation, filePath);
+        const { node } = existing(operation, filePath, followLast);
+        const size =
+            node.type === "file"
+                ? node.content.length
+                : node.type === "symlink"
+                ? Buffer.byteLength(node.target)
+                : 4096;
+
+        return {
+            size,
+            mode: FILE_TYPE_BITS[node.type] | node.mode,
+            dev: 1,
+            ino: node.ino,
+            mtimeMs: node.mtimeMs,
+            atimeMs: node.atimeMs,
+            mtime: new Date(node.mtimeMs),
+            atime: new Date(node.atimeMs),
+            isFile: () => node.type === "file",
+            isDirectory: () => node.type === "directory",
+            isSymbolicLink: () => node.type === "symlink",
+        };
+    }
+
+    /**
+     * @param {String} filePath
+     * @param {Date|Number} atime
+     * @param {Date|Number} mtime
+     * @param {Boolean} followLast
+     */
+    function setTimes(filePath, atime, mtime, followLast) {
+        const operation = followLast ? "utimes" : "lutimes";
+        checkFailures(operation, filePath);
+        const { node } = existing(operation, filePath, followLast);
+        node.atimeMs = toMilliseconds(atime);
+        node.mtimeMs = toMilliseconds(mtime);
+    }
+
+    /** @type {MemoryFileSystem} */
+    const fileSystem = {
+        readdir: async (directory) => {
+            checkFailures("readdir", directory);
+            const { node } = existing("scandir", directory);
+            if (node.type !== "directory") {
+                throw createError("ENOTDIR", "scandir", directory);
+            }
+            checkReadable("scandir", directory, node);
+
+            return [...node.entries.entries()]
+                .sort(([a], [b]) => (a < b ? -1 : 1))
+                .map(([name, entry]) => ({
+                    name,
+                    isFile: () => entry.type === "file",
+                    isDirectory: () => entry.type === "directory",
+                    isSymbolicLink: () => entry.type === "symlink",
+                }));
+        },
+        stat: async (filePath) => makeStats(filePath, true),
+        lstat: async (filePath) => makeStats(filePath, false),
+        mkdir: async (directory, options = {}) => {
+            checkFailures("mkdir", directory);
+            const found = lookup(directory, true);
+            if (found.node && !options.recursive) {
+                throw createError("EEXIST", "mkdir", directory);
+            }
+            if (found.node?.type === "directory") return;
+            if (found.node) throw createError("EEXIST", "mkdir", directory);
+
+            const parentPath = path.dirname(path.resolve(directory));
+            if (options.recursive && !lookup(parentPath, true).node) {
+                await fileSystem.mkdir(parentPath, options);
+                if (lookup(directory, true).node?.type === "directory") return;
+            }
+            const { parent, name } = creatable("mkdir", found.path);
+            attach(parent, name, createNode("directory"));
+        },
+        rm: async (filePath, options = {}) => {
+            checkFailures("rm", filePath);
+            const found = lookup(filePath, false);
+            if (!found.node) {
+                if (options.force) return;
+                throw createError("ENOENT", "rm", filePath);
+            }
+            if (found.node.type === "directory" && !options.recursive) {
+                throw createError("EISDIR", "rm", filePath);
+            }
+            checkWritable("rm", filePath, found.parent);
+            detach(found.parent, found.name);
+        },
+        rmdir: async (directory) => {
+            checkFailures("rmdir", directory);
+            const found = existing("rmdir", directory, false);
+            if (found.node.type !== "directory") {
+                throw createError("ENOTDIR", "rmdir", directory);
+            }
+            if (found.node.entries.size > 0) {
+                throw createError("ENOTEMPTY", "rmdir", directory);
+            }
+            checkWritable("rmdir", directory, found.parent);
+            detach(found.parent, found.name);
+        },
+        rename: async (oldPath, newPath) => {
+            checkFailures("rename", oldPath, newPath);
+            const source = existing("rename", oldPath, false);
+            checkWritable("rename", oldPath, source.parent);
+            const target = creatable("rename", newPath);
+
+            if (target.node === source.node) return;
+            if (target.node?.type === "directory") {
+                if (source.node.type !== "directory") {
+                    throw createError("EISDIR", "rename", newPath);
+                }
+                if (target.node.entries.size > 0) {
+                    throw createError("ENOTEMPTY", "rename", newPath);
+                }
+            }
+            if (
+                source.node.type === "directory" &&
+                isWithin(path.resolve(oldPath), path.resolve(newPath))
+            ) {
+                throw createError("EINVAL", "rename", newPath);
+            }
+
+            detach(source.parent, source.name);
+            attach(target.parent, target.name, source.node);
+        },
+        copyFile: async (source, destination) => {
+            checkFailures("copyFile", source, destination);
+            const { node } = existing("copyfile", source);
+            if (node.type !== "file") {
+                throw createError("EISDIR", "copyfile", source);
+            }
+            checkReadable("copyfile", source, node);
+
+            const target = lookup(destination, true);
+            if (target.node?.type === "directory") {
+                throw createError("EISDIR", "copyfile", destination);
+            }
+            const { parent, name } = creatable("copyfile", target.path);
+            attach(
+                parent,
+                name,
+                createNode("file", {
+                    content: Buffer.from(node.content),
+                    mode: node.mode,
+                })
+            );
+        },
+        symlink: async (target, filePath) => {
+            checkFailures("symlink", filePath);
+            const found = creatable("symlink", filePath);
+            if (found.node) throw createError("EEXIST", "symlink", filePath);
+            attach(found.parent, found.name, createNode("symlink", { target }));
+        },
+        link: async (existingPath, newPath) => {
+            checkFailures("link", existingPath, newPath);
+            const { node } = existing("link", existingPath, false);
+            if (node.type === "directory") {
+                throw createError("EPERM", "link", existingPath);
+            }
+            const found = creatable("link", newPath);
+            if (found.node) throw createError("EEXIST", "link", newPath);
+            attach(found.parent, found.name, node);
+        },
+        readlink: async (filePath) => {
+            checkFailures("readlink", filePath);
+            const { node } = existing("readlink", filePath, false);
+            if (node.type !== "symlink") {
+                throw createError("EINVAL", "readlink", filePath);
+            }
+            return node.target;
+        },
+        readFile: async (filePath, encoding) => {
+            checkFailures("readFile", filePath);
+            const { node } = existing("open", filePath);
+            if (node.type !== "file")
+                throw createError("EISDIR", "read", filePath);
+            checkReadable("open", filePath, node);
+            return /** @type {any} */ (
+                encoding
+                    ? node.content.toString(encoding)
+                    : Buffer.from(node.content)
+            );
+        },
+        writeFile: async (filePath, data) => {
+            checkFailures("writeFile", filePath);
+            writeContent(filePath, Buffer.from(data), false);
+        },
+        appendFile: async (filePath, data) => {
+            checkFailures("appendFile", filePath);
+            writeContent(filePath, Buffer.from(data), true);
+        },
+        utimes: async (filePath, atime, mtime) =>
+            setTimes(filePath, atime, mtime, true),
+        lutimes: async (filePath, atime, mtime) =>
+            setTimes(filePath, atime, mtime, false),
+        chmod: async (filePath, mode) => {
+            checkFailures("chmod", filePath);
+            const { node } = existing("chmod", filePath);
+            node.mode = mode & 0o7777;
+        },
+        existsSync: (filePath) => {
+            try {
+                return Boolean(lookup(filePath, true).node);
+            } catch {
+                return false;
+            }
+        },
+        createReadStream: (filePath, options = {}) =>
+            Readable.from(
+                (async function* () {
+                    checkFailures("createReadStream", filePath);
+                    const { node } = existing("open", filePath);
+                    if (node.type !== "file") {
+                        throw createError("EISDIR", "read", filePath);
+                    }
+                    checkReadable("open", filePath, node);
+                    const { start = 0, end = Infinity } = options;
+                    const content = node.content.subarray(start, end + 1);
+                    for (
+                        let start = 0;
+                        start < content.length;
+                        start += CHUNK_SIZE
+                    ) {
+                        yield content.subarray(start, start + CHUNK_SIZE);
+                    }
+                })(),
+                { objectMode: false }
+            ),
+        createWriteStream: (filePath) => {
+            const chunks = [];
+            return new Writable({
+                construct: (callback) => {
+                    try {
+                        checkFailures("createWriteStream", filePath);
+                        writeContent(filePath, Buffer.alloc(0), false);
+                        callback();
+                    } catch (error) {
+                        callback(error);
+                    }
+                },
+                write: (chunk, encoding, callback) => {
+                    chunks.push(chunk);
+                    callback();
+                },
+                final: (callback) => {
+                    try {
+                        writeContent(filePath, Buffer.concat(chunks), false);
+                        callback();
+                    } catch (error) {
+                        callback(error);
+                    }
+                },
+            });
+        },
+        fail: (targetPath, inputOptions = {}) => {
+            const defaultFailure = {
+                code: "EACCES",
+                operations: null,
+                times: Infinity,
+            };
+            failures.push({
+                ...defaultFailure,
+                ...inputOptions,
+                path: path.resolve(targetPath),
+            });
+        },
+    };
+
+    /**
+     * Create a directory and its missing parents.
+     * @param {String} directory
+     */
+    function ensureDirectory(directory) {
+        const found = lookup(directory, true);
+        if (found.node) return found.node;
+        ensureDirectory(path.dirname(found.path));
+        const { parent, name } = lookup(directory, false);
+        const node = createNode("directory");
+        attach(parent, name, node);
+        return node;
+    }
+
+    Object.entries(files).forEach(([filePath, value]) => {
+        const fields =
+            typeof value === "string" || Buffer.isBuffer(value)
+                ? { content: value }
+                : value || {};
+
+        if (/[\\/]$/.test(filePath)) {
+            const node = ensureDirectory(filePath);
+            node.mode = fields.mode ?? node.mode;
+            node.mtimeMs = fields.mtimeMs ?? node.mtimeMs;
+            return;
+        }
+
+        ensureDirectory(path.dirname(path.resolve(filePath)));
+        const { parent, name } = lookup(filePath, false);
+        const type = fields.symlink === undefined ? "file" : "symlink";
+        attach(
+            parent,
+            name,
+            createNode(type, {
+                content: Buffer.from(fields.content || ""),
+                target: fields.symlink,
+                mode: fields.mode,
+                mtimeMs: fields.mtimeMs,
+            })
+        );
+    });
+
+    return fileSystem;
+}
+
+/**
+ * Error shaped like the ones node:fs throws.
+ * @param {String} code
+ * @param {String} syscall
+ * @param {String} filePath
+ * @returns {Error & {code: String, syscall: String, path: String}}
+ */
+function createError(code, syscall, filePath) {
+    return Object.assign(new Error(`${code}: ${syscall} '${filePath}'`), {
+        code,
+        syscall,
+        path: filePath,
+    });
+}
+
+/**
+ * Whether a path is the given directory or inside it.
+ * @param {String} directory
+ * @param {String} filePath
+ * @returns {Boolean}
+ */
+function isWithin(directory, filePath) {
+    const relativePath = path.relative(directory, filePath);
+    return !relativePath.startsWith("..") && !path.isAbsolute(relativePath);
+}
+
+/**
+ * Convert a time given to utimes to milliseconds. Numbers are seconds, as in node:fs.
+ * @param {Date|Number} time
+ * @returns {Number}
+ */
+function toMilliseconds(time) {
+    return typeof time === "number" ? time * 1000 : time.getTime();
+}
+
+export { createMemoryFileSystem };
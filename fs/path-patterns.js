@@ -0,0 +1,280 @@
+/**
+ * @typedef {Object} PathPattern - Compiled gitignore-style pattern.
+ * @property {RegExp} regExp - Matches a relative path with "/" separators.
+ * @property {Boolean} negated - Pattern started with "!" and re-includes matching paths.
+ * @property {Boolean} directoryOnly - Pattern ended with "/" and only matches directories.
+ *
+ * @typedef {Object} IgnoreRules - Patterns of an ignore file.
+ * @property {String} directory - Directory the ignore file is in, relative to the searched
+ * directory with "/" separators. Its patterns only apply below it.
+ * @property {PathPattern[]} patterns
+ */
+
+/**
+ * @typedef {Object} PatternOptions
+ * @property {String[]|null} [include = null] - Only keep files matching these patterns.
+ * Null keeps every file.
+ * @property {String[]|null} [exclude = null] - Leave out files and directories matching
+ * these patterns.
+ */
+
+/**
+ * Callback that tells whether a relative path passes the include and exclude patterns.
+ * @callback PatternFilter
+ * @param {String} relativePath - Path relative to the searched directory.
+ * @param {Boolean} [isDirectory = false] - Path is a directory.
+ * @returns {Boolean}
+ */
+
+/**
+ * Create a filter from gitignore-style include and exclude patterns.
+ *
+ * Patterns follow gitignore semantics: a pattern without a "/" matches at any depth,
+ * a leading or middle "/" anchors it to the searched directory, a trailing "/" only
+ * matches directories, "*" and "?" never match "/", "**" matches any number of
+ * directories, and "!" re-includes paths matched by an earlier pattern. A file inside
+ * a matching directory matches as well. Brace expansion ("*.{jpg,png}") is supported,
+ * blank patterns and patterns starting with "#" are ignored.
+ *
+ * Directories are only checked against exclude, so a search can reach the included
+ * files below them.
+ * @param {PatternOptions} [inputOptions] - Include and exclude patterns.
+ * @returns {PatternFilter}
+ */
+function createPatternFilter(inputOptions = {}) {
+    const defaultOptions = {
+        include: null,
+        exclude: null,
+    };
+    const { include, exclude } = { ...defaultOptions, ...inputOptions };
+
+    const includePatterns = include ? compilePatterns(include) : null;
+    const excludePatterns = compilePatterns(exclude || []);
+
+    return (relativePath, isDirectory = false) => {
+        if (matchesPatterns(excludePatterns, relativePath, isDirectory)) {
+            return false;
+        }
+        if (!includePatterns || isDirectory) return true;
+        return matchesPatterns(includePatterns, relativePath, false);
+    };
+}
+
+/**
+ * Parse the contents of a .gitignore-style file.
+ * @param {String} contents - Contents of the ignore file, one pattern per line.
+ * @param {String} [directory = ""] - Directory the file is in, relative to the searched
+ * directory.
+ * @returns {IgnoreRules}
+ */
+function parseIgnoreFile(contents, directory = "") {
+    return {
+        directory: directory.split(/[\\/]/).filter(Boolean).join("/"),
+        patterns: compilePatterns(contents.split(/\r?\n/)),
+    };
+}
+
+/**
+ * Whether a path is ignored by the ignore files of its directory and the directories
+ * above it. As with git, rules from deeper files take precedence and "!" re-includes.
+ * Parent directories of the path are not checked: a walk skips ignored directories
+ * before it reaches their contents.
+ * @param {IgnoreRules[]} rules - Rules of the ignore files, from the top directory down.
+ * @param {String} relativePath - Path relative to the searched directory.
+ * @param {Boolean} [isDirectory = false] - Path is a directory.
+ * @returns {Boolean}
+ */
+function matchIgnoreRules(rules, relativePath, isDirectory = false) {
+    const normalizedPath = relativePath
+        .split(/[\\/]/)
+        .filter(Boolean)
+        .join("/");
+
+    for (let index = rules.length - 1; index >= 0; index--) {
+        const { directory, patterns } = rules[index];
+        const prefix = directory ? `${directory}/` : "";
+        if (!normalizedPath.startsWith(prefix)) continue;
+
+        const match = findLastMatch(
+            patterns,
+            normalizedPath.slice(prefix.length),
+            isDirectory
+        );
+        if (match) return !match.negated;
+    }
+    return false;
+}
+
+/**
+ * Compile gitignore-style patterns, in order.
+ * @param {String[]} patterns
+ * @returns {PathPattern[]}
+ */
+function compilePatterns(patterns) {
+    return patterns.flatMap((pattern) => {
+        const trimmed = pattern.replace(/(?<!\\) +$/, "");
+        if (!trimmed || trimmed.startsWith("#")) return [];
+
+        const negated = trimmed.startsWith("!");
+        const unnegated = negated ? trimmed.slice(1) : trimmed;
+        const directoryOnly = unnegated.endsWith("/");
+        const body = directoryOnly ? unnegated.slice(0, -1) : unnegated;
+
+        return expandBraces(body).map((expanded) => ({
+            regExp: globToRegExp(expanded),
+            negated,
+            directoryOnly,
+        }));
+    });
+}
+
+/**
+ * Whether a path, or one of its parent directories, is matched by the patterns. As with
+ * gitignore, a file cannot be re-included once one of its parent directories matched.
+ * @param {PathPattern[]} patterns
+ * @param {String} relativePath
+ * @param {Boolean} isDirectory
+ * @returns {Boolean}
+ */
+function matchesPatterns(patterns, relativePath, isDirectory) {
+    if (patterns.length === 0) return false;
+
+    const segments = relativePath.split(/[\\/]/).filter(Boolean);
+    for (let index = 1; index < segments.length; index++) {
+        const parentPath = segments.slice(0, index).join("/");
+        if (lastMatch(patterns, parentPath, true)) return true;
+    }
+    return lastMatch(patterns, segments.join("/"), isDirectory);
+}
+
+/**
+ * Evaluate a single path against the patterns. The last matching pattern wins.
+ * @param {PathPattern[]} patterns
+ * @param {String} normalizedPath - Relative path with "/" separators.
+ * @param {Boolean} isDirectory
+ * @returns {Boolean}
+ */
+function lastMatch(patterns, normalizedPath, isDirectory) {
+    const match = findLastMatch(patterns, normalizedPath, isDirectory);
+    return match ? !match.negated : false;
+}
+
+/**
+ * Find the last pattern matching a single path.
+ * @param {PathPattern[]} patterns
+ * @param {String} normalizedPath - Relative path with "/" separators.
+ * @param {Boolean} isDirectory
+ * @returns {PathPattern|null}
+ */
+function findLastMatch(patterns, normalizedPath, isDirectory) {
+    for (let index = patterns.length - 1; index >= 0; index--) {
+        const pattern = patterns[index];
+        if (pattern.directoryOnly && !isDirectory) continue;
+        if (pattern.regExp.test(normalizedPath)) return pattern;
+    }
+    return null;
+}
+
+/**
+ * Expand the brace groups of a pattern: "a.{jpg,png}" -> ["a.jpg", "a.png"].
+ * @param {String} pattern
+ * @returns {String[]}
+ */
+function expandBraces(pattern) {
+    let depth = 0;
+    let start = -1;
+    const commas = [];
+
+    for (let index = 0; index < pattern.length; index++) {
+        const char = pattern[index];
+        if (char === "\\") {
+            index++;
+        } else if (char === "{") {
+            if (depth === 0) start = index;
+            depth++;
+        } else if (char === "," && depth === 1) {
+            commas.push(index);
+        } else if (char === "}" && depth > 0) {
+            depth--;
+            if (depth > 0) continue;
+            if (commas.length === 0) {
+                start = -1;
+                continue;
+            }
+
+            const prefix = pattern.slice(0, start);
+            const suffix = pattern.slice(index + 1);
+            const bounds = [start, ...commas, index];
+            return bounds.slice(1).flatMap((end, boundIndex) => {
+                const option = pattern.slice(bounds[boundIndex] + 1, end);
+                return expandBraces(`${prefix}${option}${suffix}`);
+            });
+        }
+    }
+    return [pattern];
+}
+
+/**
+ * Convert a single glob, without negation or trailing slash, to a regular expression
+ * matching relative paths with "/" separators.
+ * @param {String} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+    const isAnchored = glob.includes("/");
+    const body = glob.startsWith("/") ? glob.slice(1) : glob;
+    let source = isAnchored ? "" : "(?:.*/)?";
+
+    for (let index = 0; index < body.length; index++) {
+        const char = body[index];
+
+        if (char === "*" && body[index + 1] === "*") {
+            const isSegmentStart = index === 0 || body[index - 1] === "/";
+            const next = body[index + 2];
+            if (isSegmentStart && next === "/") {
+                source += "(?:.*/)?";
+                index += 2;
+                continue;
+            }
+            if (isSegmentStart && next === undefined) {
+                source += ".*";
+                index++;
+                continue;
+            }
+        }
+
+        if (char === "*") {
+            source += "[^/]*";
+        } else if (char === "?") {
+            source += "[^/]";
+        } else if (char === "\\" && index + 1 < body.length) {
+            source += escapeRegExp(body[++index]);
+        } else if (char === "[") {
+            const end = body.indexOf("]", index + 2);
+            if (end === -1) {
+                source += "\\[";
+                continue;
+            }
+            const range = body.slice(index + 1, end).replace(/\\/g, "\\\\");
+            source += range.startsWith("!")
+                ? `[^/${range.slice(1)}]`
+                : `[${range}]`;
+            index = end;
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ *
+ * @param {String} string
+ * @returns {String}
+ */
+function escapeRegExp(string) {
+    return string.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+}
+
+export { createPatternFilter, parseIgnoreFile, matchIgnoreRules };
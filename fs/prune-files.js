@@ -0,0 +1,287 @@
+import path from "node:path";
+import { searchFilesRecursive } from "./search-files-recursive.js";
+import { cleanEmptyFolders } from "./clean-empty-folders.js";
+import { createPatternFilter } from "./path-patterns.js";
+import { createEventLogger } from "./event-logger.js";
+import { nodeFileSystem } from "./file-system.js";
+import { formatBytes } from "../string/format-bytes.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} PrunePolicy - Retention rules. A file is pruned when any rule
+ * selects it.
+ * @property {Number} [olderThanDays] - Prune files last modified more than this many
+ * days ago.
+ * @property {Number} [maxTotalSize] - Size budget in bytes. The oldest files are pruned
+ * until the files left take no more than this, or until only files kept by keepLast are
+ * left.
+ * @property {{[pattern: string]: Number}} [keepLast] - Gitignore-style patterns with
+ * the number of newest matching files to keep, such as `{"daily-*.tar.gz": 7}`. Older
+ * matching files are pruned. The newest ones are kept even when olderThanDays or
+ * maxTotalSize select them. Files matching no pattern are left to the other rules.
+ *
+ * @typedef {Object} PrunedFile
+ * @property {String} path - Path relative to the pruned directory.
+ * @property {String} fullPath - Path including the pruned directory.
+ * @property {Number} size - Size in bytes.
+ * @property {Date} mtime - Last modification time.
+ * @property {"age"|"keepLast"|"size"} reason - Rule that selected the file.
+ * @property {String} [archivePath] - Where the file was archived, with archiveDirectory.
+ *
+ * @typedef {Object} PruneError
+ * @property {String} path - Full path of the file.
+ * @property {Error} error
+ *
+ * @typedef {Object} PruneReport
+ * @property {PrunedFile[]} pruned - Deleted or archived files, oldest first.
+ * @property {Number} prunedBytes - Combined size of the pruned files.
+ * @property {Number} remainingBytes - Combined size of the files left.
+ * @property {String[]} removedDirectories - Full paths of the directories left empty and
+ * removed.
+ * @property {PruneError[]} errors - Files that could not be deleted or archived. They
+ * are left as they are.
+ */
+
+/**
+ * @typedef {Object} PruneOptions
+ * @property {import("./search-files-recursive.js").fileFilter} [inputOptions.filter] -
+ * Function that determines which files the policy applies to, given their relative path.
+ * @property {String[]|null} [inputOptions.include = null] - Gitignore-style patterns. Only
+ * matching files are pruned or count towards maxTotalSize.
+ * @property {String[]|null} [inputOptions.exclude = null] - Gitignore-style patterns.
+ * Matching files and directories are left untouched.
+ * @property {String[]|null} [inputOptions.ignoreFiles = null] - Names of gitignore-style
+ * files whose patterns leave files untouched, such as [".gitignore"].
+ * @property {String|null} [inputOptions.archiveDirectory = null] - Move pruned files here,
+ * keeping their relative paths, instead of deleting them.
+ * @property {Boolean} [inputOptions.cleanEmpty = true] - Remove the directories pruning
+ * left empty, with `cleanEmptyFolders`.
+ * @property {Boolean} [inputOptions.dryRun = false] - Report the files that would be
+ * pruned without touching them. No directory is reported as removed.
+ * @property {Number} [inputOptions.concurrency = 8] - Max number of directories read at
+ * once.
+ * @property {import("./event-logger.js").Logger|null} [inputOptions.logger = console] - Where
+ * progress messages are written. Null runs silently.
+ * @property {import("./event-logger.js").EventCallback} [inputOptions.onEvent] - Receives a
+ * "delete" or "archive" event for each pruned file, and "rmdir" events.
+ * @property {import("./file-system.js").FileSystem} [inputOptions.fileSystem] - Filesystem
+ * to prune. Defaults to the real disk.
+ */
+
+/**
+ * Delete or archive the files of a directory by retention policy, as is done for log
+ * and backup folders, then remove the directories left empty.
+ * @param {String} directory - Directory to prune.
+ * @param {PrunePolicy} policy - Retention rules.
+ * @param {PruneOptions} [inputOptions] - Configurable options.
+ * @returns {Promise<PruneReport>}
+ */
+async function pruneFiles(directory, policy, inputOptions = {}) {
+    const defaultOptions = {
+        filter: null,
+        include: null,
+        exclude: null,
+        ignoreFiles: null,
+        archiveDirectory: null,
+        cleanEmpty: true,
+        dryRun: false,
+        concurrency: 8,
+        fileSystem: nodeFileSystem,
+    };
+    const {
+        filter,
+        include,
+        exclude,
+        ignoreFiles,
+        archiveDirectory,
+        cleanEmpty,
+        dryRun,
+        concurrency,
+        fileSystem,
+    } = { ...defaultOptions, ...inputOptions };
+    const { olderThanDays, maxTotalSize, keepLast } = policy || {};
+    if (olderThanDays == null && maxTotalSize == null && !keepLast) {
+        throw new Error(
+            "Error: prune policy needs olderThanDays, maxTotalSize or keepLast."
+        );
+    }
+
+    const events = createEventLogger(inputOptions);
+    const archiveRelativePath = archiveDirectory
+        ? path.relative(directory, archiveDirectory)
+        : null;
+    const isInArchive = (relativePath) =>
+        archiveRelativePath !== null &&
+        !archiveRelativePath.startsWith("..") &&
+        (archiveRelativePath === "" ||
+            relativePath === archiveRelativePath ||
+            relativePath.startsWith(`${archiveRelativePath}${path.sep}`));
+
+    /** @type {import("./search-entry.js").SearchEntry[]} */
+    const entries = await searchFilesRecursive(directory, {
+        filter: (relativePath) =>
+            !isInArchive(relativePath) &&
+            (typeof filter !== "function" || filter(relativePath)),
+        include,
+        exclude,
+        ignoreFiles,
+        includeSymlinks: false,
+        withStats: true,
+        sort: "mtime",
+        concurrency,
+        fileSystem,
+    });
+    const files = entries.filter((entry) => entry.type === "file");
+    const selected = selectFiles(files, policy);
+
+    /** @type {PruneReport} */
+    const report = {
+        pruned: [],
+        prunedBytes: 0,
+        remainingBytes: 0,
+        removedDirectories: [],
+        errors: [],
+    };
+
+    for (const entry of files) {
+        const reason = selected.get(entry);
+        if (!reason) {
+            report.remainingBytes += entry.size;
+            continue;
+        }
+
+        /** @type {PrunedFile} */
+        const prunedFile = {
+            path: entry.relativePath,
+            fullPath: entry.fullPath,
+            size: entry.size,
+            mtime: entry.mtime,
+            reason,
+        };
+        try {
+            if (archiveDirectory) {
+                const archivePath = path.join(
+                    archiveDirectory,
+                    entry.relativePath
+                );
+                if (!dryRun) {
+                    await archiveFile(entry, archivePath, fileSystem);
+                }
+                prunedFile.archivePath = archivePath;
+                events.emit(
+                    {
+                        type: "archive",
+                        path: entry.fullPath,
+                        archivePath,
+                        reason,
+                    },
+                    `archive: ${entry.fullPath} -> ${archivePath}`
+                );
+            } else {
+                if (!dryRun) await fileSystem.rm(entry.fullPath);
+                events.emit(
+                    { type: "delete", path: entry.fullPath, reason },
+                    `delete: ${entry.fullPath}`
+                );
+            }
+            report.pruned.push(prunedFile);
+            report.prunedBytes += entry.size;
+        } catch (error) {
+            report.errors.push({ path: entry.fullPath, error });
+            report.remainingBytes += entry.size;
+        }
+    }
+
+    if (cleanEmpty && !dryRun && report.pruned.length > 0) {
+        const { removedDirectories } = await cleanEmptyFolders(directory, {
+            filter: (fullPath) =>
+                !isInArchive(path.relative(directory, fullPath)),
+            exclude,
+            ignoreFiles,
+            logger: inputOptions.logger,
+            onEvent: inputOptions.onEvent,
+            fileSystem,
+        });
+        report.removedDirectories = removedDirectories;
+    }
+
+    events.log(
+        `${dryRun ? "Would prune" : "Pruned"} ${
+            report.pruned.length
+        } file(s), ${formatBytes(report.prunedBytes)}.`
+    );
+    return report;
+}
+
+/**
+ * Apply the policy rules to files sorted oldest first.
+ * @param {import("./search-entry.js").SearchEntry[]} files
+ * @param {PrunePolicy} policy
+ * @returns {Map<import("./search-entry.js").SearchEntry, PrunedFile["reason"]>} - Files to
+ * prune, with the first rule that selected them.
+ */
+function selectFiles(files, policy) {
+    const { olderThanDays, maxTotalSize, keepLast } = policy;
+    /** @type {Map<import("./search-entry.js").SearchEntry, PrunedFile["reason"]>} */
+    const selected = new Map();
+    /** @type {Set<import("./search-entry.js").SearchEntry>} */
+    const keptFiles = new Set();
+    /** @type {import("./search-entry.js").SearchEntry[]} */
+    const olderFiles = [];
+
+    Object.entries(keepLast || {}).forEach(([pattern, count]) => {
+        const matches = createPatternFilter({ include: [pattern] });
+        const matching = files.filter((file) => matches(file.relativePath));
+        const keptIndex = Math.max(0, matching.length - count);
+        matching.slice(keptIndex).forEach((file) => keptFiles.add(file));
+        olderFiles.push(...matching.slice(0, keptIndex));
+    });
+
+    if (olderThanDays != null) {
+        const cutoff = Date.now() - olderThanDays * DAY_MS;
+        files
+            .filter((file) => file.mtime.getTime() < cutoff)
+            .filter((file) => !keptFiles.has(file))
+            .forEach((file) => selected.set(file, "age"));
+    }
+
+    olderFiles
+        .filter((file) => !keptFiles.has(file) && !selected.has(file))
+        .forEach((file) => selected.set(file, "keepLast"));
+
+    if (maxTotalSize != null) {
+        let totalSize = files
+            .filter((file) => !selected.has(file))
+            .reduce((total, file) => total + file.size, 0);
+        for (const file of files) {
+            if (totalSize <= maxTotalSize) break;
+            if (selected.has(file) || keptFiles.has(file)) continue;
+            selected.set(file, "size");
+            totalSize -= file.size;
+        }
+    }
+    return selected;
+}
+
+/**
+ * Move a file into the archive directory. Falls back to copying when the archive is on
+ * another device, keeping the modification time.
+ * @param {import("./search-entry.js").SearchEntry} entry
+ * @param {String} archivePath
+ * @param {import("./file-system.js").FileSystem} fileSystem
+ * @returns {Promise<void>}
+ */
+async function archiveFile(entry, archivePath, fileSystem) {
+    await fileSystem.mkdir(path.dirname(archivePath), { recursive: true });
+    try {
+        await fileSystem.rename(entry.fullPath, archivePath);
+    } catch (error) {
+        if (error.code !== "EXDEV") throw error;
+        await fileSystem.copyFile(entry.fullPath, archivePath);
+        await fileSystem.utimes(archivePath, entry.stats.atime, entry.mtime);
+        await fileSystem.rm(entry.fullPath);
+    }
+}
+
+export { pruneFiles };
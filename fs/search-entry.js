@@ -0,0 +1,88 @@
+const BROKEN_LINK_CODES = ["ENOENT", "ELOOP"];
+
+/**
+ * @typedef {Object} SearchEntry - File found by a search, with its stat metadata.
+ * @property {String} relativePath - Path relative to the searched directory.
+ * @property {String} fullPath - Path including the searched directory.
+ * @property {"file"|"directory"|"symlink"|"other"} type - Type of the entry. Links have
+ * the type of their target, "symlink" is only used for broken links.
+ * @property {Number} size - Size in bytes, of the target for links.
+ * @property {Date} mtime - Last modification time, of the target for links.
+ * @property {Number} mode - Permission bits.
+ * @property {Boolean} isSymlink - Entry is a symbolic link.
+ * @property {import("./file-system.js").FileStats} stats - Stats the entry was built from.
+ */
+
+/**
+ * Stat a path into a search entry. Links are followed, and described by their own
+ * stats when the target is missing or loops back on itself.
+ * @param {String} fullPath
+ * @param {String} relativePath
+ * @param {import("./file-system.js").FileSystem} fileSystem
+ * @param {Boolean|null} [isSymlink = null] - Whether the path is a link, when already
+ * known from the directory listing. Null checks with lstat.
+ * @returns {Promise<SearchEntry>}
+ */
+async function createSearchEntry(
+    fullPath,
+    relativePath,
+    fileSystem,
+    isSymlink = null
+) {
+    const linkStats =
+        isSymlink === false ? null : await fileSystem.lstat(fullPath);
+    const isLink = linkStats ? linkStats.isSymbolicLink() : false;
+    const stats = !isLink
+        ? linkStats || (await fileSystem.stat(fullPath))
+        : (await statLinkTarget(fullPath, fileSystem)) || linkStats;
+
+    return {
+        relativePath,
+        fullPath,
+        type: getEntryType(stats),
+        size: stats.size,
+        mtime: stats.mtime,
+        mode: stats.mode & 0o7777,
+        isSymlink: isLink,
+        stats,
+    };
+}
+
+/**
+ *
+ * @param {import("./file-system.js").FileStats} stats
+ * @returns {SearchEntry["type"]}
+ */
+function getEntryType(stats) {
+    if (stats.isDirectory()) return "directory";
+    if (stats.isSymbolicLink()) return "symlink";
+    if (stats.isFile()) return "file";
+    return "other";
+}
+
+/**
+ * Stat the target of a symbolic link.
+ * @param {String} linkPath
+ * @param {import("./file-system.js").FileSystem} fileSystem
+ * @returns {Promise<import("./file-system.js").FileStats|null>} - Null when the link is
+ * broken.
+ */
+async function statLinkTarget(linkPath, fileSystem) {
+    try {
+        return await fileSystem.stat(linkPath);
+    } catch (error) {
+        if (BROKEN_LINK_CODES.includes(error.code)) return null;
+        throw error;
+    }
+}
+
+/**
+ * Key identifying a directory across the paths leading to it.
+ * @param {import("./file-system.js").FileStats} stats
+ * @returns {String}
+ */
+function getInodeKey(stats) {
+    return `${stats.dev}:${stats.ino}`;
+}
+
+export { createSearchEntry, statLinkTarget, getInodeKey };
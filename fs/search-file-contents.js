@@ -0,0 +1,237 @@
+import { StringDecoder } from "node:string_decoder";
+import { searchFilesRecursive } from "./search-files-recursive.js";
+import { nodeFileSystem } from "./file-system.js";
+
+const BINARY_CHECK_BYTES = 8000;
+
+/**
+ * @typedef {Object} ContentMatch
+ * @property {String} path - File path relative to the searched directory.
+ * @property {String} fullPath - File path including the searched directory.
+ * @property {Number} line - Line number, starting at 1.
+ * @property {Number} column - Column of the match in the line, starting at 1.
+ * @property {String} text - Whole line the match is on.
+ * @property {String} match - Matched text.
+ * @property {String[]} before - Context lines before the match, nearest last.
+ * @property {String[]} after - Context lines after the match.
+ *
+ * @typedef {{matches?: ContentMatch[], error?: Error, fullPath: String}} FileSearch -
+ * Finished file search waiting to be yielded.
+ */
+
+/**
+ * Callback that receives the files that could not be read. They are skipped.
+ * @callback FileErrorCallback
+ * @param {String} filePath - Full path of the file.
+ * @param {Error} error
+ * @returns {void}
+ */
+
+/**
+ * @typedef {Object} ContentSearchOptions
+ * @property {import("./search-files-recursive.js").fileFilter} [inputOptions.filter] -
+ * Function that determines which files are searched, given their relative path.
+ * @property {String[]|null} [inputOptions.include = null] - Gitignore-style patterns. Only
+ * matching files are searched.
+ * @property {String[]|null} [inputOptions.exclude = null] - Gitignore-style patterns.
+ * Matching files and directories are left out.
+ * @property {String[]|null} [inputOptions.ignoreFiles = null] - Names of gitignore-style
+ * files whose patterns leave files out, such as [".gitignore"].
+ * @property {Boolean} [inputOptions.followSymlinks = false] - Search symbolically linked
+ * directories as well.
+ * @property {Number} [inputOptions.maxDepth = 0] - Deepest level searched, 1 being the
+ * files directly inside the directory. Default (0) means no limit.
+ * @property {Boolean} [inputOptions.ignoreCase = false] - Match string patterns regardless
+ * of case. RegExp patterns keep their own flags.
+ * @property {Number} [inputOptions.context = 0] - Number of lines returned before and
+ * after each match.
+ * @property {Number} [inputOptions.maxFileSize = 0] - Largest file searched, in bytes.
+ * Default (0) means no limit.
+ * @property {Boolean} [inputOptions.skipBinary = true] - Skip files with a NUL byte in
+ * their first 8000 bytes.
+ * @property {Number} [inputOptions.concurrency = 8] - Max number of directories read, and
+ * of files searched, at once.
+ * @property {FileErrorCallback|null} [inputOptions.onError = null] - Receives the files
+ * that could not be read, such as unreadable files or files deleted during the search.
+ * They are skipped either way, like grep does.
+ * @property {import("./file-system.js").FileSystem} [inputOptions.fileSystem] - Filesystem
+ * to search. Defaults to the real disk.
+ */
+
+/**
+ * Search the contents of files for a pattern, like `grep -rn`, yielding matches as they
+ * are found. Files are streamed line by line, several at a time, and matches come out
+ * file by file in the order the files were found. Files that cannot be read are skipped
+ * and passed to onError. Breaking out of the loop stops the search.
+ * @param {String} directory - Directory to search.
+ * @param {String|RegExp} pattern - Text to find, or a regular expression tested on each
+ * line.
+ * @param {ContentSearchOptions} [inputOptions] - Configurable options.
+ * @returns {AsyncGenerator<ContentMatch>}
+ */
+async function* searchFileContents(directory, pattern, inputOptions = {}) {
+    const defaultOptions = {
+        filter: null,
+        include: null,
+        exclude: null,
+        ignoreFiles: null,
+        followSymlinks: false,
+        maxDepth: 0,
+        ignoreCase: false,
+        context: 0,
+        maxFileSize: 0,
+        skipBinary: true,
+        concurrency: 8,
+        onError: null,
+        fileSystem: nodeFileSystem,
+    };
+    const {
+        onError,
+        ignoreCase,
+        context,
+        maxFileSize,
+        skipBinary,
+        concurrency,
+        fileSystem,
+        ...searchOptions
+    } = { ...defaultOptions, ...inputOptions };
+
+    const regExp = createSearchRegExp(pattern, ignoreCase);
+    /** @type {import("./search-entry.js").SearchEntry[]} */
+    const entries = await searchFilesRecursive(directory, {
+        ...searchOptions,
+        withStats: true,
+        concurrency,
+        fileSystem,
+    });
+    const files = entries.filter(
+        (entry) =>
+            entry.type === "file" &&
+            (maxFileSize <= 0 || entry.size <= maxFileSize)
+    );
+
+    const options = { context, skipBinary, fileSystem };
+    /** @type {Promise<FileSearch>[]} */
+    const searches = [];
+    let nextIndex = 0;
+
+    while (nextIndex < files.length || searches.length > 0) {
+        while (
+            nextIndex < files.length &&
+            searches.length < Math.max(1, concurrency)
+        ) {
+            const { fullPath } = files[nextIndex];
+            searches.push(
+                findMatches(files[nextIndex++], regExp, options).then(
+                    (matches) => ({ matches, fullPath }),
+                    (error) => ({ error, fullPath })
+                )
+            );
+        }
+
+        const { matches, error, fullPath } = await searches.shift();
+        if (error) {
+            if (typeof onError === "function") onError(fullPath, error);
+            continue;
+        }
+        yield* matches;
+    }
+}
+
+/**
+ * Turn a search pattern into a global regular expression.
+ * @param {String|RegExp} pattern
+ * @param {Boolean} ignoreCase - Only used for string patterns.
+ * @returns {RegExp}
+ */
+function createSearchRegExp(pattern, ignoreCase) {
+    if (pattern instanceof RegExp) {
+        const flags = pattern.flags.includes("g")
+            ? pattern.flags
+            : `${pattern.flags}g`;
+        return new RegExp(pattern.source, flags);
+    }
+    if (typeof pattern !== "string" || pattern === "") {
+        throw new Error(
+            "Error: search pattern must be a RegExp or a non-empty string."
+        );
+    }
+    const source = pattern.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return new RegExp(source, ignoreCase ? "gi" : "g");
+}
+
+/**
+ * Stream a file line by line and collect the matches of a pattern.
+ * @param {import("./search-entry.js").SearchEntry} file
+ * @param {RegExp} regExp - Global regular expression.
+ * @param {{
+ * context: Number
+ * skipBinary: Boolean
+ * fileSystem: import("./file-system.js").FileSystem}} options
+ * @returns {Promise<ContentMatch[]>}
+ */
+async function findMatches(file, regExp, options) {
+    const { context, skipBinary, fileSystem } = options;
+    const decoder = new StringDecoder("utf8");
+    /** @type {ContentMatch[]} */
+    const matches = [];
+    /** @type {String[]} */
+    const previousLines = [];
+    /** @type {ContentMatch[]} */
+    let waitingMatches = [];
+    let lineNumber = 0;
+    let remainder = "";
+    let isFirstChunk = true;
+
+    const addLine = (text) => {
+        lineNumber++;
+        waitingMatches.forEach((match) => match.after.push(text));
+        waitingMatches = waitingMatches.filter(
+            (match) => match.after.length < context
+        );
+
+        for (const found of text.matchAll(regExp)) {
+            const match = {
+                path: file.relativePath,
+                fullPath: file.fullPath,
+                line: lineNumber,
+                column: found.index + 1,
+                text,
+                match: found[0],
+                before: [...previousLines],
+                after: [],
+            };
+            matches.push(match);
+            if (context > 0) waitingMatches.push(match);
+        }
+
+        if (context > 0) {
+            previousLines.push(text);
+            if (previousLines.length > context) previousLines.shift();
+        }
+    };
+
+    for await (const chunk of fileSystem.createReadStream(file.fullPath)) {
+        if (isFirstChunk && skipBinary && isBinary(chunk)) return [];
+        isFirstChunk = false;
+
+        const lines = `${remainder}${decoder.write(chunk)}`.split("\n");
+        remainder = lines.pop();
+        lines.forEach((line) => addLine(line.replace(/\r$/, "")));
+    }
+
+    const lastLine = `${remainder}${decoder.end()}`;
+    if (lastLine) addLine(lastLine.replace(/\r$/, ""));
+    return matches;
+}
+
+/**
+ * Whether the start of a file looks binary, as grep decides it.
+ * @param {Buffer} chunk - First chunk of the file.
+ * @returns {Boolean}
+ */
+function isBinary(chunk) {
+    return chunk.subarray(0, BINARY_CHECK_BYTES).includes(0);
+}
+
+export { searchFileContents };
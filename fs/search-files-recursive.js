@@ -1,6 +1,9 @@
-import fs from "node:fs/promises";
 import path from "node:path";
-import { mapFilter } from "../object/map-filter.js";
+import { walkFiles } from "./walk-files.js";
+import { createSearchEntry } from "./search-entry.js";
+import { nodeFileSystem } from "./file-system.js";
+import { createConcurrencyLimiter } from "../misc/concurrency-limiter.js";
+import { sortAlphabetical } from "../object/sort-alphabetical.js";
 
 /**
  * Callback function that takes an input base path and filters it.
@@ -19,68 +22,153 @@ import { mapFilter } from "../object/map-filter.js";
  * to include directories in search
  * @property {Boolean} [inputOptions.asRoot = false] - Determines if the input directory
  * should be treated as a root directory.
+ * @property {Boolean} [inputOptions.includeSymlinks = true] - Determines whether or not
+ * to include symbolic links in search
+ * @property {String[]|null} [inputOptions.include = null] - Gitignore-style patterns, relative
+ * to the input directory. Only files matching one of them are returned.
+ * @property {String[]|null} [inputOptions.exclude = null] - Gitignore-style patterns, relative
+ * to the input directory. Matching files are left out and matching directories are not
+ * searched.
+ * @property {import("./walk-files.js").DescendFilter|null} [inputOptions.descend = null] -
+ * Decides whether the search enters a directory, before any of its files are read.
+ * @property {Number} [inputOptions.maxDepth = 0] - Deepest level returned, 1 being the
+ * entries directly inside the input directory. Default (0) means no limit.
+ * @property {Number} [inputOptions.minDepth = 0] - Shallowest level returned. Default (0)
+ * returns every level.
+ * @property {Number} [inputOptions.concurrency = 8] - Max number of directories read at
+ * once.
+ * @property {Boolean} [inputOptions.followSymlinks = false] - Search symbolic links to
+ * directories as well. Links leading back to one of their own parent directories are not
+ * searched again.
+ * @property {import("./walk-files.js").BrokenSymlinkCallback|null}
+ * [inputOptions.onBrokenSymlink = null] - Receives broken links, which are then left out
+ * of the results. Only used with followSymlinks.
+ * @property {String[]|null} [inputOptions.ignoreFiles = null] - Names of gitignore-style
+ * files, such as [".gitignore", ".ignore"]. Files and directories they match are left
+ * out, each file applying to its own directory and everything below it.
+ * @property {import("./file-system.js").FileSystem} [inputOptions.fileSystem] - Filesystem
+ * to search. Defaults to the real disk.
+ * @property {Boolean} [inputOptions.withStats = false] - Return SearchEntry objects with
+ * the type, size, modification time and mode of each file instead of paths.
+ * @property {"name"|"size"|"mtime"|null} [inputOptions.sort = null] - Sort the results.
+ * Default (null) keeps the order files were found in.
+ * @property {"asc"|"desc"} [inputOptions.sortOrder = "asc"] - Sort direction.
  */
 
 /**
- * Asynchronously return all filepaths within an input directory.
- * @param {String} directory - Input directory to search
- * @param {SearchOptions} [inputOptions = {}] - Configurable options for plugin.
+ * @typedef {import("./search-entry.js").SearchEntry} SearchEntry
  *
- * @returns {Promise<Array>} - All files and paths within directory.
+ * @typedef {Object} FoundFile
+ * @property {String} outputPath - Path as returned without withStats.
+ * @property {import("./walk-files.js").WalkEntry} entry
+ * @property {SearchEntry} [searchEntry]
  */
-async function searchFilesRecursive(directory, inputOptions = {}) {
-    return await searchFilesRecursiveHandler(directory, inputOptions);
-}
+
+/** @type {{[sort: String]: ((entry: SearchEntry) => Number)|null}} */
+const sortKeys = {
+    name: null,
+    size: (entry) => entry.size,
+    mtime: (entry) => entry.mtime.getTime(),
+};
 
 /**
+ * Asynchronously return all filepaths within an input directory.
+ * @param {String} directory - Input directory to search
+ * @param {SearchOptions} [inputOptions = {}] - Configurable options for plugin.
  *
- * @param {String} directory
- * @param {SearchOptions} inputOptions
- * @param {String} base
- * @returns {Promise<String[]>}
+ * @returns {Promise<Array>} - All files and paths within directory, or their
+ * SearchEntry objects with withStats.
  */
-async function searchFilesRecursiveHandler(
-    directory,
-    inputOptions = {},
-    base = directory
-) {
+async function searchFilesRecursive(directory, inputOptions = {}) {
     const defaultOptions = {
         fullPath: false,
         filter: null,
-        includeDirectories: false,
         asRoot: false,
+        withStats: false,
+        sort: /** @type {"name"|"size"|"mtime"|null} */ (null),
+        sortOrder: /** @type {"asc"|"desc"} */ ("asc"),
+        concurrency: 8,
+        fileSystem: nodeFileSystem,
     };
     const options = { ...defaultOptions, ...inputOptions };
+    const {
+        filter,
+        fullPath,
+        asRoot,
+        withStats,
+        sort,
+        sortOrder,
+        ...walkOptions
+    } = options;
+    if (sort && !(sort in sortKeys)) {
+        throw new Error(`Error: unknown sort '${sort}'.`);
+    }
 
-    const { filter, includeDirectories } = options;
-
-    const entries = await fs.readdir(directory, { withFileTypes: true });
-    const filePromises = entries.map(async (entry) => {
-        const fullPath = path.join(directory, entry.name);
-        const relativePath = path.relative(base, fullPath);
-        if (!entry.isDirectory()) return relativePath;
-
-        const nextEntry = await searchFilesRecursiveHandler(
-            fullPath,
-            options,
-            base
+    /** @type {FoundFile[]} */
+    const files = [];
+    for await (const entry of walkFiles(directory, walkOptions)) {
+        const outputPath = makeFilePath(
+            entry.path,
+            { fullPath, asRoot },
+            directory
         );
+        if (typeof filter === "function" && !filter(outputPath)) continue;
+        files.push({ outputPath, entry });
+    }
 
-        return includeDirectories ? [relativePath, ...nextEntry] : nextEntry;
-    });
-    const allFiles = (await Promise.all(filePromises)).flat();
-    return mapFilter(allFiles, (filePath) => {
-        const outputPath = makeFilePath(filePath, options, base);
+    const needsStats = withStats || Boolean(sortKeys[sort]);
+    const results = needsStats ? await statFiles(files, walkOptions) : files;
+    const sorted = sort ? sortFiles(results, sort, sortOrder) : results;
+    return sorted.map((file) =>
+        withStats ? file.searchEntry : file.outputPath
+    );
+}
 
-        if (!filter || typeof filter !== "function") {
-            return outputPath;
-        }
-        const isIncluded = filter(outputPath);
+/**
+ * Stat the found files, leaving out those removed since the directory was read.
+ * @param {FoundFile[]} files
+ * @param {{
+ * concurrency: Number
+ * fileSystem: import("./file-system.js").FileSystem}} options
+ * @returns {Promise<FoundFile[]>}
+ */
+async function statFiles(files, options) {
+    const { concurrency, fileSystem } = options;
+    const limit = createConcurrencyLimiter(concurrency);
 
-        if (!isIncluded) return null;
+    const statted = await Promise.all(
+        files.map((file) =>
+            limit(() =>
+                createSearchEntry(
+                    file.entry.fullPath,
+                    file.entry.path,
+                    fileSystem,
+                    file.entry.isSymbolicLink
+                )
+            ).then(
+                (searchEntry) => ({ ...file, searchEntry }),
+                (error) =>
+                    error.code === "ENOENT" ? null : Promise.reject(error)
+            )
+        )
+    );
+    return statted.filter(Boolean);
+}
 
-        return outputPath;
-    });
+/**
+ * Sort found files by name, or by size or modification time with ties in name order.
+ * @param {FoundFile[]} files
+ * @param {"name"|"size"|"mtime"} sort
+ * @param {"asc"|"desc"} sortOrder
+ * @returns {FoundFile[]}
+ */
+function sortFiles(files, sort, sortOrder) {
+    const sortKey = sortKeys[sort];
+    const byName = sortAlphabetical(files, (file) => file.outputPath);
+    const sorted = sortKey
+        ? byName.sort((a, b) => sortKey(a.searchEntry) - sortKey(b.searchEntry))
+        : byName;
+    return sortOrder === "desc" ? sorted.reverse() : sorted;
 }
 
 /**
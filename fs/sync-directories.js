@@ -1,10 +1,29 @@
 import path from "node:path";
 import { searchFilesRecursive } from "./search-files-recursive.js";
+import { walkFiles } from "./walk-files.js";
 import { cleanEmptyFolders } from "./clean-empty-folders.js";
-import fs from "node:fs/promises";
-import { existsSync } from "node:fs";
+import { pipeline } from "node:stream/promises";
 import { logProgress } from "../console/log-progress.js";
 import { createProgressBarGenerator } from "../console/progress-bar.js";
+import { createConcurrencyLimiter } from "../misc/concurrency-limiter.js";
+import { retry } from "../misc/retry.js";
+import { createMemoryFileSystem } from "./memory-file-system.js";
+import { hashFile, loadHashCache } from "./file-hash.js";
+import { createEventLogger } from "./event-logger.js";
+import { createSyncTrash } from "./sync-trash.js";
+import { formatBytes } from "../string/format-bytes.js";
+import { nodeFileSystem } from "./file-system.js";
+import {
+    readSyncJournal,
+    createSyncJournal,
+    removeSyncJournal,
+    JOURNAL_FILENAME,
+} from "./sync-journal.js";
+
+const HASH_CACHE_FILENAME = ".sync-hash-cache.json";
+const TEMP_FILE_SUFFIX = ".sync-tmp";
+const FILE_FAILED = Symbol("FILE_FAILED");
+const MTIME_TOLERANCE = 1000;
 
 /**
  * Callback function that filters out certain files from an array of files.
@@ -20,10 +39,111 @@ import { createProgressBarGenerator } from "../console/progress-bar.js";
  * @callback compare
  * @param {String} filePathA - First file path to be compared.
  * @param {String} filePathB - Second file path to be compared.
+ * @param {import("./file-system.js").FileStats} [statsA] - Stats of the first file, from
+ * the directory listing.
+ * @param {import("./file-system.js").FileStats} [statsB] - Stats of the second file.
  * @returns {Boolean|Promise<Boolean>} - Returns (true) if file stats are the same, returns (false)
  * if file stats are different.
  */
 
+/**
+ * Built-in comparison strategies.
+ * - size: files have the same size.
+ * - size+mtime: files have the same size and modification times less than a second
+ * apart, as filesystems and timestamp copies round them. Needs preserveTimestamps, as
+ * copies otherwise get a new modification time.
+ * - sha256: files have the same SHA-256 content hash.
+ *
+ * @typedef {"size"|"size+mtime"|"sha256"} CompareStrategy
+ */
+
+/**
+ * @typedef {{path: String, stats: import("./file-system.js").FileStats}} ComparedFile
+ *
+ * @callback StrategyCompare
+ * @param {ComparedFile} fileA
+ * @param {ComparedFile} fileB
+ * @param {(file: ComparedFile) => Promise<String>} hash - Content hash of a file.
+ * @returns {Boolean|Promise<Boolean>}
+ */
+
+/** @type {{[strategy in CompareStrategy]: StrategyCompare}} */
+const compareStrategies = {
+    size: (fileA, fileB) => fileA.stats.size === fileB.stats.size,
+    "size+mtime": (fileA, fileB) =>
+        fileA.stats.size === fileB.stats.size &&
+        Math.abs(fileA.stats.mtimeMs - fileB.stats.mtimeMs) < MTIME_TOLERANCE,
+    sha256: async (fileA, fileB, hash) => {
+        if (fileA.stats.size !== fileB.stats.size) return false;
+        const [hashA, hashB] = await Promise.all([hash(fileA), hash(fileB)]);
+        return hashA === hashB;
+    },
+};
+
+/**
+ * @typedef {Object} SyncPlanEntry
+ * @property {String} path - File path relative to the synced directories.
+ * @property {String} [input] - Full source path. Not set for deletions.
+ * @property {String} output - Full destination path.
+ * @property {Number} size - Size in bytes of the file being written or removed.
+ * @property {Boolean} [isSymlink] - Input is a symbolic link copied as a link.
+ * @property {String} [from] - Relative path of the output file a moved file is renamed
+ * from. Only set for moves.
+ *
+ * @typedef {Object} SyncPlanTotal
+ * @property {Number} files - Number of files in the category.
+ * @property {Number} bytes - Combined size of the files in the category.
+ *
+ * @typedef {Object} SyncPlan - Every change a sync would make to the output directory.
+ * @property {SyncPlanEntry[]} create - Files missing from the output directory.
+ * @property {SyncPlanEntry[]} overwrite - Files that exist in both directories but differ.
+ * @property {SyncPlanEntry[]} move - Files missing from the output directory that are
+ * renamed from an identical output file missing from the input directory.
+ * @property {SyncPlanEntry[]} delete - Output files missing from the input directory.
+ * @property {String[]} skip - Files that are already the same in both directories.
+ * @property {SyncError[]} errors - Files that could not be compared. Only collected
+ * with continueOnError.
+ * @property {Boolean} resumed - Plan is the unfinished work of an interrupted sync,
+ * read from its journal instead of comparing both directories.
+ * @property {String[]} removeDirectories - Output directories left empty after the sync.
+ * Only computed for dry runs.
+ * @property {{
+ * create: SyncPlanTotal
+ * overwrite: SyncPlanTotal
+ * move: SyncPlanTotal
+ * delete: SyncPlanTotal
+ * unchanged: Number
+ * directories: Number
+ * inputFiles: Number
+ * outputFiles: Number}} totals - Totals for each category, and the number of files
+ * found in each directory.
+ */
+
+/**
+ * @typedef {Object} SyncError
+ * @property {String} path - File path relative to the synced directories.
+ * @property {Error} error - Error thrown while processing the file.
+ *
+ * @typedef {Object} SyncMove
+ * @property {String} from - Previous relative path of the output file.
+ * @property {String} path - New relative path of the output file.
+ *
+ * @typedef {Object} SyncReport - Summary of a completed sync.
+ * @property {String[]} copied - Files created in the output directory.
+ * @property {String[]} overwritten - Output files replaced by their input counterpart.
+ * @property {SyncMove[]} moved - Output files renamed instead of being copied again.
+ * @property {String[]} skipped - Files that were already the same in both directories.
+ * @property {String[]} deleted - Output files removed because they are not in the input.
+ * @property {String[]} removedDirectories - Empty output directories that were removed.
+ * @property {Number} bytesCopied - Combined size of copied and overwritten files.
+ * @property {Number} bytesDeleted - Combined size of deleted files.
+ * @property {String[]} trashed - Deleted and overwritten files moved to the trash.
+ * @property {String|null} trashSnapshot - Trash snapshot the files were moved into.
+ * @property {Number} duration - Run time in milliseconds.
+ * @property {SyncError[]} errors - Files that could not be processed.
+ * @property {Boolean} resumed - Sync finished the work of an interrupted sync.
+ */
+
 /**
  * Asynchronously sync an output directory with a given input directory
  *
@@ -35,17 +155,87 @@ import { createProgressBarGenerator } from "../console/progress-bar.js";
  * input folder's files. Default null returns original array.
  * @param {pathFilter} [inputOptions.filterOutput = null] - Callback function that filters
  * output folder's files. Default null returns original array.
- * @param {compare} [inputOptions.compare] - Callback function that determines
- * if files should be copied (true) or should be ignored (false).
- * Default compares {stat.size}.
+ * @param {String[]|null} [inputOptions.include = null] - Gitignore-style patterns. Only
+ * files matching one of them are synced, in both directories.
+ * @param {String[]|null} [inputOptions.exclude = null] - Gitignore-style patterns. Matching
+ * files are neither copied nor deleted, and matching output directories are never cleaned.
+ * @param {String[]|null} [inputOptions.ignoreFiles = null] - Names of gitignore-style
+ * files, such as [".gitignore"], found in either directory. Files they match are treated
+ * like excluded files.
+ * @param {compare|CompareStrategy} [inputOptions.compare = "size"] - Callback function
+ * or built-in strategy that determines if files should be ignored (true) or
+ * should be copied (false).
+ * @param {Boolean} [inputOptions.preserveTimestamps = false] - Give copies the access and
+ * modification times of their input file.
+ * @param {Boolean} [inputOptions.preserveMode = false] - Give copies the permission bits of
+ * their input file.
+ * @param {"follow"|"copy"|"skip"} [inputOptions.symlinks = "follow"] - Copy the file or
+ * directory a symbolic link points to ("follow"), recreate the link itself ("copy") or
+ * leave links out of the sync in both directories ("skip"). Followed links leading back
+ * to one of their own parent directories are skipped.
+ * @param {Boolean} [inputOptions.atomic = true] - Copy each file to a temporary sibling
+ * and rename it into place (true), so an interrupted copy never leaves a truncated file,
+ * or write the output file directly (false).
+ * @param {Number} [inputOptions.streamThreshold = 16777216] - Files of at least this many
+ * bytes (16 MB by default) are copied with streams, so the progress display can show
+ * the bytes transferred while they are copied. 0 streams every file. Streamed copies keep
+ * the permission bits of their input file, like the others.
+ * @param {Boolean} [inputOptions.journal = true] - Record the planned work and every
+ * finished file in a journal in the output directory. A sync that finds the journal of
+ * an interrupted run from the same input directory first finishes that run's remaining
+ * work, then syncs as requested. If finishing it fails, the journal is removed and only
+ * the requested sync runs ("restart" event).
+ * @param {Boolean} [inputOptions.detectMoves = true] - Rename output files that were
+ * moved or renamed in the input directory instead of copying them again and deleting the
+ * old copy. A file counts as moved when a new file has the same size and content hash as
+ * a file about to be deleted. Needs cleanDirectory.
+ * @param {Boolean} [inputOptions.hashCache = true] - Keep a manifest of file hashes in the
+ * output directory so unchanged files are not hashed again by the "sha256" strategy.
  *
  * @param {Boolean} [inputOptions.cleanDirectory = true] - Determines whether to delete
  * loose files (true) or keep them (false).
  * @param {Boolean} [inputOptions.cleanEmpty = true] - Determines whether to delete empty
  * directories (true) or keep them (false).
+ * @param {Boolean} [inputOptions.trash = false] - Move deleted and overwritten output files
+ * into a timestamped trash snapshot (true) or remove them permanently (false).
+ * @param {String} [inputOptions.trashDirectory = ".sync-trash"] - Trash directory, relative
+ * to the output directory. It is never synced or cleaned.
+ * @param {Number} [inputOptions.trashRetention = 10] - Number of trash snapshots to keep.
+ * Every sync that trashes files makes a snapshot, so under watchDirectories this counts
+ * change batches, not time. 0 keeps every snapshot.
  * @param {Boolean} [inputOptions.logProgress = true] - Determines whether to console log
- * copy progress (true) or not (false).
- * @returns {Promise<void>}
+ * copy progress (true) or not (false). The progress display writes to the terminal
+ * directly, so it is only shown when logger is console.
+ * @param {import("./event-logger.js").Logger|null} [inputOptions.logger = console] - Where
+ * progress messages are written. Null runs silently.
+ * @param {import("./event-logger.js").EventCallback} [inputOptions.onEvent] - Receives
+ * "start", "resume", "restart", "copy", "overwrite", "move", "skip", "delete", "trash", "rmdir",
+ * "retry", "error" and "done" events.
+ * @param {Number} [inputOptions.concurrency = 32] - Max number of file operations
+ * (compare, copy, delete) in flight at once. 0 means no limit.
+ * @param {Boolean} [inputOptions.continueOnError = false] - Record files that fail in the
+ * report's errors and keep syncing (true) or reject on the first failure (false).
+ * @param {Number} [inputOptions.retries = 0] - Number of times a failed file operation
+ * is attempted again.
+ * @param {Number} [inputOptions.retryDelay = 100] - Time in ms before the first retry,
+ * doubled after every attempt.
+ * @param {Number} [inputOptions.maxDeleteCount = 0] - Abort before changing anything if
+ * the sync would delete more files than this. 0 means no limit.
+ * @param {Number} [inputOptions.maxDeletePercent = 0] - Abort before changing anything if
+ * the sync would delete more than this percentage of the output files. 0 means no limit.
+ * @param {Boolean} [inputOptions.allowEmptySource = false] - Allow an empty input directory
+ * to delete files from the output directory (true) or abort, as it usually means the
+ * source is missing or unmounted (false).
+ * @param {String[]|null} [inputOptions.paths = null] - Only sync these paths (files or
+ * directories, relative to both directories) instead of scanning both trees. Only the
+ * directories leading to them are read, so ignore files above them still apply. Empty
+ * folders are then only removed above deleted files.
+ * @param {import("./file-system.js").FileSystem} [inputOptions.fileSystem] - Filesystem
+ * holding both directories. Defaults to the real disk.
+ * @param {Boolean} [inputOptions.dryRun = false] - Compute and return the sync plan
+ * without touching the disk (true) or run the sync (false).
+ * @returns {Promise<SyncPlan|SyncReport>} - The sync plan when running dry, the sync
+ * report otherwise.
  *
  */
 
@@ -53,125 +243,1148 @@ async function syncDirectories(inputDirectory, outputDirectory, inputOptions) {
     const defaultOptions = {
         filterInput: null,
         filterOutput: null,
-        compare: filesAreSame,
+        include: null,
+        exclude: null,
+        ignoreFiles: null,
+        compare: /** @type {compare|CompareStrategy} */ ("size"),
+        hashCache: true,
+        detectMoves: true,
+        atomic: true,
+        streamThreshold: 16 * 1024 * 1024,
+        journal: true,
+        preserveTimestamps: false,
+        preserveMode: false,
+        symlinks: /** @type {"follow"|"copy"|"skip"} */ ("follow"),
         cleanDirectory: true,
         cleanEmpty: true,
+        trash: false,
+        trashDirectory: ".sync-trash",
+        trashRetention: 10,
         logProgress: true,
+        logger: console,
+        onEvent: null,
+        concurrency: 32,
+        continueOnError: false,
+        retries: 0,
+        retryDelay: 100,
+        maxDeleteCount: 0,
+        maxDeletePercent: 0,
+        allowEmptySource: false,
+        paths: null,
+        fileSystem: nodeFileSystem,
+        dryRun: false,
     };
 
-    console.log("Starting directory sync...\n");
-    console.log(`Source: ${inputDirectory}`);
-    console.log(`Destination: ${outputDirectory}`);
-
+    const startTime = Date.now();
     const options = { ...defaultOptions, ...inputOptions };
     const {
-        filterInput,
-        filterOutput,
         compare,
-        cleanDirectory,
-        cleanEmpty,
-        logProgress: doLogProgress,
+        hashCache: useHashCache,
+        journal: useJournal,
+        logger,
+        onEvent,
+        concurrency,
+        fileSystem,
+        dryRun,
     } = options;
 
-    const inputFiles = await searchFilesRecursive(inputDirectory, {
-        filter: filterInput,
-    });
-    const outputFiles = await searchFilesRecursive(outputDirectory, {
-        filter: filterOutput,
-    });
+    const events = createEventLogger({ logger, onEvent });
+    const createRunner = () =>
+        createFileTaskRunner(
+            createConcurrencyLimiter(concurrency),
+            options,
+            events,
+            []
+        );
 
-    const inputFilesSet = new Set(inputFiles);
-    const outputFilesSet = new Set(outputFiles);
+    events.emit(
+        { type: "start", input: inputDirectory, output: outputDirectory },
+        "Starting directory sync...\n"
+    );
+    events.log(`Source: ${inputDirectory}`);
+    events.log(`Destination: ${outputDirectory}`);
 
-    console.log("Processing files to copy...");
-    const filesToCopyPromises = inputFiles.map(async (filePath) => {
-        const inputPath = path.join(inputDirectory, filePath);
-        const outputPath = path.join(outputDirectory, filePath);
-        const existsInOutputPath = outputFilesSet.has(filePath);
+    const hashCache =
+        compare === "sha256" && useHashCache
+            ? await loadHashCache(
+                  path.join(outputDirectory, HASH_CACHE_FILENAME),
+                  { fileSystem }
+              )
+            : null;
+    const run = {
+        inputDirectory,
+        outputDirectory,
+        options,
+        events,
+        hashCache,
+    };
+    /** @type {SyncReport|null} */
+    let resumedReport = null;
 
-        const outputData = {
-            input: inputPath,
-            output: outputPath,
-        };
+    const journal =
+        useJournal && !dryRun
+            ? await readSyncJournal(outputDirectory, fileSystem)
+            : null;
+    const isResuming =
+        typeof journal?.input === "string" &&
+        path.resolve(journal.input) === path.resolve(inputDirectory);
 
-        if (!existsInOutputPath) {
-            return outputData;
+    if (isResuming) {
+        events.emit(
+            { type: "resume" },
+            "Resuming interrupted sync from its journal..."
+        );
+        try {
+            const runFileTask = createRunner();
+            const plan = await createResumedPlan(journal, {
+                runFileTask,
+                fileSystem,
+            });
+            resumedReport = await applySyncPlan(plan, {
+                ...run,
+                runFileTask,
+            });
+        } catch (error) {
+            events.emit(
+                { type: "restart", error },
+                `Resuming failed -> ${error.message}\nSyncing both directories from scratch...`
+            );
+            await removeSyncJournal(outputDirectory, fileSystem);
         }
+    }
 
-        const filesAreSame = await Promise.resolve(
-            compare(inputPath, outputPath)
-        );
+    const runFileTask = createRunner();
+    events.log("Processing files to copy...");
+    const plan = await createSyncPlan(inputDirectory, outputDirectory, {
+        ...options,
+        compare: createCompare(compare, hashCache, fileSystem),
+        hashCache,
+        runFileTask,
+    });
 
-        if (!filesAreSame) return outputData;
+    const safetyError = checkDeletionSafety(plan, options);
 
-        return null;
+    if (dryRun) {
+        logSyncPlan(plan, events);
+        if (safetyError) events.log(`Warning: ${safetyError}`);
+        events.emit({ type: "done", plan });
+        return plan;
+    }
+
+    if (safetyError) {
+        throw new Error(`Error: ${safetyError} No files were changed.`);
+    }
+
+    const syncReport = await applySyncPlan(plan, { ...run, runFileTask });
+    const report = resumedReport
+        ? mergeSyncReports(resumedReport, syncReport)
+        : syncReport;
+    report.duration = Date.now() - startTime;
+    events.emit({ type: "done", report }, "\nDone.");
+    return report;
+}
+
+/**
+ * Combine the report of a resumed journal with the report of the sync run after it.
+ * Files the resumed work changed are not reported as skipped.
+ * @param {SyncReport} resumed
+ * @param {SyncReport} report
+ * @returns {SyncReport}
+ */
+function mergeSyncReports(resumed, report) {
+    const changedPaths = new Set([
+        ...resumed.copied,
+        ...resumed.overwritten,
+        ...resumed.moved.map((move) => move.path),
+    ]);
+    return {
+        copied: [...resumed.copied, ...report.copied],
+        overwritten: [...resumed.overwritten, ...report.overwritten],
+        moved: [...resumed.moved, ...report.moved],
+        skipped: report.skipped.filter(
+            (filePath) => !changedPaths.has(filePath)
+        ),
+        deleted: [...resumed.deleted, ...report.deleted],
+        removedDirectories: [
+            ...resumed.removedDirectories,
+            ...report.removedDirectories,
+        ],
+        bytesCopied: resumed.bytesCopied + report.bytesCopied,
+        bytesDeleted: resumed.bytesDeleted + report.bytesDeleted,
+        trashed: [...resumed.trashed, ...report.trashed],
+        trashSnapshot: report.trashSnapshot ?? resumed.trashSnapshot,
+        duration: 0,
+        errors: [...resumed.errors, ...report.errors],
+        resumed: true,
+    };
+}
+
+/**
+ * @typedef {Object} SyncRun - State of a sync run, shared by its plan and its changes.
+ * @property {String} inputDirectory
+ * @property {String} outputDirectory
+ * @property {Object} options - Options of syncDirectories, with their defaults.
+ * @property {import("./event-logger.js").EventLogger} events
+ * @property {import("./file-hash.js").HashCache|null} hashCache
+ * @property {FileTaskRunnerWithErrors} runFileTask
+ */
+
+/**
+ * Make the changes of a sync plan to the output directory, journaling each finished
+ * file, then clean the output directory. The caller reports the duration and emits the
+ * "done" event.
+ * @param {SyncPlan} plan
+ * @param {SyncRun} run
+ * @returns {Promise<SyncReport>}
+ */
+async function applySyncPlan(plan, run) {
+    const {
+        inputDirectory,
+        outputDirectory,
+        options,
+        events,
+        hashCache,
+        runFileTask,
+    } = run;
+    const {
+        filterOutput,
+        journal: useJournal,
+        cleanDirectory,
+        cleanEmpty,
+        trash: useTrash,
+        trashDirectory,
+        trashRetention,
+        logProgress: doLogProgress,
+        logger,
+        paths,
+        fileSystem,
+    } = options;
+    const { errors } = runFileTask;
+
+    /** @type {SyncReport} */
+    const report = {
+        copied: [],
+        overwritten: [],
+        moved: [],
+        skipped: plan.skip,
+        deleted: [],
+        removedDirectories: [],
+        bytesCopied: 0,
+        bytesDeleted: 0,
+        trashed: [],
+        trashSnapshot: null,
+        duration: 0,
+        errors,
+        resumed: plan.resumed,
+    };
+    plan.skip.forEach((filePath) => {
+        events.emit({ type: "skip", path: filePath });
     });
 
-    const filesToCopy = (await Promise.all(filesToCopyPromises)).filter(
-        Boolean
-    );
+    const trash = useTrash
+        ? createSyncTrash(outputDirectory, {
+              directory: trashDirectory,
+              retention: trashRetention,
+              fileSystem,
+          })
+        : null;
+
+    const journalWriter = useJournal
+        ? await createSyncJournal(
+              outputDirectory,
+              {
+                  input: inputDirectory,
+                  create: plan.create,
+                  overwrite: plan.overwrite,
+                  move: plan.move,
+                  delete: cleanDirectory ? plan.delete : [],
+              },
+              fileSystem
+          )
+        : null;
+
+    const context = {
+        outputDirectory,
+        fileSystem,
+        doLogProgress: doLogProgress && logger === console,
+        copyOptions: options,
+        resumed: plan.resumed,
+        runFileTask,
+        trash,
+        journal: journalWriter,
+        events,
+        report,
+    };
+
+    if (plan.move.length > 0) {
+        await moveAllFiles(context)(plan.move);
+        events.log(
+            `Detected ${report.moved.length} moved file(s), renamed instead of copied.`
+        );
+    }
+
+    const filesToCopy = [...plan.create, ...plan.overwrite];
     const copyFilesSize = filesToCopy.length;
 
     if (filesToCopy.length > 0) {
-        const inputFileSize = inputFiles.length;
-        const existingPaths = inputFileSize - copyFilesSize;
-        console.log(
+        const existingPaths = plan.totals.unchanged;
+        events.log(
             `${existingPaths} file(s) exist(s) in output directory. Copying the remaining ${copyFilesSize} file(s)...\n`
         );
-        await copyAllFiles(doLogProgress)(filesToCopy);
-        console.log("\nAll files copied!");
+        await copyAllFiles(context, new Set(plan.overwrite))(filesToCopy);
+        events.log("\nAll files copied!");
     } else {
-        console.log("No files to copy.");
+        events.log("No files to copy.");
+    }
+
+    if (hashCache) {
+        const failedPaths = new Set(errors.map((error) => error.path));
+        await Promise.all(
+            [...filesToCopy, ...plan.move]
+                .filter((entry) => !failedPaths.has(entry.path))
+                .map(({ path: filePath, input, output }) =>
+                    runFileTask(filePath, () =>
+                        hashCache.recordCopy(input, output)
+                    )
+                )
+        );
+        await hashCache.save({ keepUnused: Boolean(paths) });
     }
 
     if (cleanDirectory) {
-        console.log("Cleaning output directory...");
-        await deleteRemainingFiles(inputFilesSet, outputDirectory)(outputFiles);
+        events.log("Cleaning output directory...");
+        await deleteRemainingFiles(context)(plan.delete);
+    }
+
+    if (trash && report.trashed.length > 0) {
+        report.trashSnapshot = trash.snapshot;
+        events.log(
+            `Moved ${report.trashed.length} file(s) to trash snapshot ${trash.snapshot}.`
+        );
+        await trash.prune();
+    }
+
+    if (cleanEmpty && paths) {
+        report.removedDirectories = await removeEmptyParents(
+            context,
+            [...report.deleted, ...report.moved.map((move) => move.from)],
+            filterOutput
+        );
+    } else if (cleanEmpty) {
+        events.log("Cleaning empty folders...");
+        const { removedDirectories } = await cleanEmptyFolders(
+            outputDirectory,
+            {
+                ...createCleanupOptions(outputDirectory, options),
+                logger,
+                fileSystem,
+                onEvent: (event) =>
+                    events.emit({
+                        ...event,
+                        path: path.relative(outputDirectory, event.path),
+                    }),
+            }
+        );
+        report.removedDirectories = removedDirectories.map((directory) =>
+            path.relative(outputDirectory, directory)
+        );
     }
 
-    if (cleanEmpty) {
-        const relativeOutputFilter =
-            typeof filterOutput === "function"
-                ? (filepath) =>
-                      filterOutput(path.relative(outputDirectory, filepath))
-                : null;
+    if (journalWriter) await journalWriter.close();
 
-        console.log("Cleaning empty folders...");
-        await cleanEmptyFolders(outputDirectory, {
-            filter: relativeOutputFilter,
-        });
+    if (errors.length > 0) {
+        events.log(`\n${errors.length} file(s) failed to sync.`);
     }
 
-    console.log("\nDone.");
+    return report;
 }
 
-function deleteRemainingFiles(inputFilesSet, outputDirectory) {
-    let removedFiles = 0;
-    return async (outputFiles) => {
-        const removeFilesPromises = outputFiles.map(async (filepath) => {
-            if (inputFilesSet.has(filepath)) return;
-            const fullPath = path.join(outputDirectory, filepath);
-            await fs.rm(fullPath);
-            removedFiles++;
+/**
+ * Compares both directories and collects every change the sync would make.
+ * @param {String} inputDirectory
+ * @param {String} outputDirectory
+ * @param {Object} options
+ * @returns {Promise<SyncPlan>}
+ */
+async function createSyncPlan(inputDirectory, outputDirectory, options) {
+    const {
+        filterInput,
+        filterOutput,
+        compare,
+        hashCache,
+        detectMoves,
+        cleanDirectory,
+        cleanEmpty,
+        runFileTask,
+        trashDirectory,
+        symlinks,
+        paths,
+        fileSystem,
+    } = options;
+    const errorCount = runFileTask.errors.length;
+
+    const inputEntries = await listSyncFiles(
+        inputDirectory,
+        excludeSyncFiles(filterInput, trashDirectory),
+        options
+    );
+    const outputEntries = await listSyncFiles(
+        outputDirectory,
+        excludeSyncFiles(filterOutput, trashDirectory),
+        options
+    );
+
+    const inputFiles = inputEntries.map((entry) => entry.relativePath);
+    const inputFilesSet = new Set(inputFiles);
+    const outputEntriesByPath = new Map(
+        outputEntries.map((entry) => [entry.relativePath, entry])
+    );
+    const statsByPath = new Map(
+        [...inputEntries, ...outputEntries].map((entry) => [
+            entry.fullPath,
+            entry.stats,
+        ])
+    );
+
+    const copyEntryPromises = inputEntries.map((inputEntry) =>
+        runFileTask(inputEntry.relativePath, async () => {
+            const filePath = inputEntry.relativePath;
+            const inputPath = path.join(inputDirectory, filePath);
+            const outputPath = path.join(outputDirectory, filePath);
+            const outputEntry = outputEntriesByPath.get(filePath);
+            const isSymlink = symlinks === "copy" && inputEntry.isSymlink;
+
+            if (outputEntry) {
+                const filesAreSame =
+                    symlinks === "copy"
+                        ? await linksOrFilesAreSame(
+                              inputEntry,
+                              outputEntry,
+                              compare,
+                              fileSystem
+                          )
+                        : await Promise.resolve(
+                              compare(
+                                  inputPath,
+                                  outputPath,
+                                  inputEntry.stats,
+                                  outputEntry.stats
+                              )
+                          );
+                if (filesAreSame) return null;
+            }
+
+            const { size } = isSymlink
+                ? await fileSystem.lstat(inputPath)
+                : inputEntry;
+
+            return {
+                type: outputEntry ? "overwrite" : "create",
+                entry: {
+                    path: filePath,
+                    input: inputPath,
+                    output: outputPath,
+                    size,
+                    isSymlink,
+                },
+            };
+        })
+    );
+
+    const copyResults = await Promise.all(copyEntryPromises);
+    const copyEntries = copyResults.filter(
+        (result) => result && result !== FILE_FAILED
+    );
+    const skip = inputFiles.filter((_, index) => copyResults[index] === null);
+
+    const filesToDelete = cleanDirectory
+        ? outputEntries.filter(
+              (entry) => !inputFilesSet.has(entry.relativePath)
+          )
+        : [];
+
+    const deleteResults = await Promise.all(
+        filesToDelete.map((outputEntry) =>
+            runFileTask(outputEntry.relativePath, async () => {
+                const filePath = outputEntry.relativePath;
+                const outputPath = path.join(outputDirectory, filePath);
+                const { size } = outputEntry.isSymlink
+                    ? await fileSystem.lstat(outputPath)
+                    : outputEntry;
+                return {
+                    path: filePath,
+                    output: outputPath,
+                    size,
+                    isSymlink: outputEntry.isSymlink,
+                };
+            })
+        )
+    );
+    const deleteCandidates = deleteResults.filter(
+        (result) => result !== FILE_FAILED
+    );
+
+    const createCandidates = copyEntries
+        .filter(({ type }) => type === "create")
+        .map(({ entry }) => entry);
+    const overwrite = copyEntries
+        .filter(({ type }) => type === "overwrite")
+        .map(({ entry }) => entry);
+
+    const move = detectMoves
+        ? await findMoves(createCandidates, deleteCandidates, {
+              hashCache,
+              statsByPath,
+              runFileTask,
+              fileSystem,
+          })
+        : [];
+    const movedPaths = new Set(move.map((entry) => entry.path));
+    const movedFromPaths = new Set(move.map((entry) => entry.from));
+    const create = createCandidates.filter(
+        (entry) => !movedPaths.has(entry.path)
+    );
+    const deleteEntries = deleteCandidates.filter(
+        (entry) => !movedFromPaths.has(entry.path)
+    );
+
+    const removeDirectories =
+        options.dryRun && cleanEmpty && !paths
+            ? await findDirectoriesToRemove(
+                  outputDirectory,
+                  [...create, ...move],
+                  deleteCandidates,
+                  options
+              )
+            : [];
+
+    return {
+        create,
+        overwrite,
+        move,
+        delete: deleteEntries,
+        skip,
+        errors: runFileTask.errors.slice(errorCount),
+        resumed: false,
+        removeDirectories,
+        totals: {
+            create: sumPlanEntries(create),
+            overwrite: sumPlanEntries(overwrite),
+            move: sumPlanEntries(move),
+            delete: sumPlanEntries(deleteEntries),
+            unchanged: skip.length,
+            inputFiles: inputFiles.length,
+            outputFiles: outputEntries.length,
+            directories: removeDirectories.length,
+        },
+    };
+}
+
+/**
+ * Rebuild the remaining work of an interrupted sync from its journal. Files to copy are
+ * checked against the input directory again, and those removed since are left out.
+ * @param {import("./sync-journal.js").SyncJournal} journal
+ * @param {{
+ * runFileTask: FileTaskRunner
+ * fileSystem: import("./file-system.js").FileSystem}} options
+ * @returns {Promise<SyncPlan>}
+ */
+async function createResumedPlan(journal, options) {
+    const { runFileTask, fileSystem } = options;
+    const isPending = (entry) => !journal.done.has(entry.path);
+
+    /** @param {SyncPlanEntry[]} entries */
+    const refreshCopies = async (entries) => {
+        const results = await Promise.all(
+            entries.filter(isPending).map((entry) =>
+                runFileTask(entry.path, async () => {
+                    const stats = await (entry.isSymlink
+                        ? fileSystem.lstat(entry.input)
+                        : fileSystem.stat(entry.input)
+                    ).catch((error) => {
+                        if (error.code === "ENOENT") return null;
+                        throw error;
+                    });
+                    return stats ? { ...entry, size: stats.size } : null;
+                })
+            )
+        );
+        return results.filter((result) => result && result !== FILE_FAILED);
+    };
+
+    const create = await refreshCopies(journal.create);
+    const overwrite = await refreshCopies(journal.overwrite);
+    const move = journal.move.filter(isPending);
+    const deleteEntries = journal.delete.filter(isPending);
+
+    return {
+        create,
+        overwrite,
+        move,
+        delete: deleteEntries,
+        skip: [],
+        errors: [],
+        resumed: true,
+        removeDirectories: [],
+        totals: {
+            create: sumPlanEntries(create),
+            overwrite: sumPlanEntries(overwrite),
+            move: sumPlanEntries(move),
+            delete: sumPlanEntries(deleteEntries),
+            unchanged: journal.done.size,
+            directories: 0,
+            inputFiles: create.length + overwrite.length + move.length,
+            outputFiles: overwrite.length + move.length + deleteEntries.length,
+        },
+    };
+}
+
+/**
+ * Pair files about to be created with identical files about to be deleted, so they can
+ * be renamed in the output directory instead of copied again. Files only count as the
+ * same when their size and content hash match. Symbolic links and empty files are
+ * always copied.
+ * @param {SyncPlanEntry[]} createEntries
+ * @param {SyncPlanEntry[]} deleteEntries
+ * @param {{
+ * hashCache: import("./file-hash.js").HashCache|null
+ * statsByPath: Map<String, import("./file-system.js").FileStats>
+ * runFileTask: FileTaskRunner
+ * fileSystem: import("./file-system.js").FileSystem}} options
+ * @returns {Promise<SyncPlanEntry[]>} - Create entries with the path they move from.
+ */
+async function findMoves(createEntries, deleteEntries, options) {
+    const { hashCache, statsByPath, runFileTask, fileSystem } = options;
+    const isCandidate = (entry) => !entry.isSymlink && entry.size > 0;
+    /** @type {Map<Number, SyncPlanEntry[]>} */
+    const deletesBySize = new Map();
+    deleteEntries.filter(isCandidate).forEach((entry) => {
+        deletesBySize.set(entry.size, [
+            ...(deletesBySize.get(entry.size) || []),
+            entry,
+        ]);
+    });
+
+    const creates = createEntries.filter(
+        (entry) => isCandidate(entry) && deletesBySize.has(entry.size)
+    );
+    if (creates.length === 0) return [];
+
+    const hash = (relativePath, filePath) =>
+        runFileTask(relativePath, async () => {
+            try {
+                if (!hashCache) {
+                    return await hashFile(filePath, "sha256", fileSystem);
+                }
+                const stats =
+                    statsByPath.get(filePath) ||
+                    (await fileSystem.stat(filePath));
+                return await hashCache.hash(filePath, stats);
+            } catch {
+                return null;
+            }
         });
-        const output = await Promise.all(removeFilesPromises);
-        console.log(`Removed ${removedFiles} files.`);
-        return output;
+
+    const createHashes = await Promise.all(
+        creates.map((entry) => hash(entry.path, entry.input))
+    );
+    const sizes = new Set(creates.map((entry) => entry.size));
+    const deletes = [...sizes].flatMap((size) => deletesBySize.get(size));
+    const deleteHashes = await Promise.all(
+        deletes.map((entry) => hash(entry.path, entry.output))
+    );
+
+    /** @type {Map<String, SyncPlanEntry[]>} */
+    const deletesByHash = new Map();
+    deletes.forEach((entry, index) => {
+        const key = `${entry.size}:${deleteHashes[index]}`;
+        if (!deleteHashes[index]) return;
+        deletesByHash.set(key, [...(deletesByHash.get(key) || []), entry]);
+    });
+
+    return creates.flatMap((entry, index) => {
+        const matches = deletesByHash.get(
+            `${entry.size}:${createHashes[index]}`
+        );
+        const match = createHashes[index] && matches?.shift();
+        return match ? [{ ...entry, from: match.path }] : [];
+    });
+}
+
+/**
+ * Check the planned deletions against the mass-deletion safeguards.
+ * @param {SyncPlan} plan
+ * @param {{
+ * maxDeleteCount: Number
+ * maxDeletePercent: Number
+ * allowEmptySource: Boolean
+ * paths: String[]|null}} options
+ * @returns {String|null} - Description of the violated safeguard, if any.
+ */
+function checkDeletionSafety(plan, options) {
+    const { maxDeleteCount, maxDeletePercent, allowEmptySource, paths } =
+        options;
+    const { inputFiles, outputFiles } = plan.totals;
+    const deleteCount = plan.delete.length;
+    if (deleteCount === 0) return null;
+
+    if (!paths && inputFiles === 0 && !allowEmptySource) {
+        return `input directory is empty and ${deleteCount} output file(s) would be deleted. Check that the source is mounted, or set allowEmptySource.`;
+    }
+
+    if (maxDeleteCount > 0 && deleteCount > maxDeleteCount) {
+        return `${deleteCount} file(s) would be deleted, more than maxDeleteCount (${maxDeleteCount}).`;
+    }
+
+    const deletePercent = (deleteCount / outputFiles) * 100;
+    if (!paths && maxDeletePercent > 0 && deletePercent > maxDeletePercent) {
+        return `${deletePercent.toFixed(
+            1
+        )}% of output files would be deleted, more than maxDeletePercent (${maxDeletePercent}%).`;
+    }
+
+    return null;
+}
+
+/**
+ * List the files of a directory, or only those within the given relative paths. Paths
+ * are found with a walk that only enters the directories leading to them, so the ignore
+ * files above them apply as in a full listing.
+ * @param {String} directory
+ * @param {pathFilter} filter
+ * @param {{
+ * paths: String[]|null
+ * symlinks: "follow"|"copy"|"skip"
+ * include: String[]|null
+ * exclude: String[]|null
+ * ignoreFiles: String[]|null
+ * fileSystem: import("./file-system.js").FileSystem}} options
+ * @returns {Promise<import("./search-entry.js").SearchEntry[]>}
+ */
+async function listSyncFiles(directory, filter, options) {
+    const { paths, symlinks, include, exclude, ignoreFiles, fileSystem } =
+        options;
+    const syncedPaths = (paths || []).map((relativePath) =>
+        path.normalize(relativePath).replace(/[\\/]+$/, "")
+    );
+    const isWholeTree = !paths || syncedPaths.includes(".");
+
+    const isSynced = (relativePath) =>
+        syncedPaths.some(
+            (syncedPath) =>
+                relativePath === syncedPath ||
+                relativePath.startsWith(`${syncedPath}${path.sep}`)
+        );
+    const leadsToSynced = (relativeDirectory) =>
+        syncedPaths.some((syncedPath) =>
+            syncedPath.startsWith(`${relativeDirectory}${path.sep}`)
+        );
+
+    return await searchFilesRecursive(directory, {
+        filter: isWholeTree
+            ? filter
+            : (relativePath) => isSynced(relativePath) && filter(relativePath),
+        descend: isWholeTree
+            ? null
+            : (relativeDirectory) =>
+                  isSynced(relativeDirectory) ||
+                  leadsToSynced(relativeDirectory),
+        includeSymlinks: symlinks !== "skip",
+        followSymlinks: symlinks === "follow",
+        include,
+        exclude,
+        ignoreFiles,
+        withStats: true,
+        fileSystem,
+    });
+}
+
+/**
+ * Remove the output directories that deleting files left empty, walking up
+ * from each deleted file until a directory still has contents.
+ * @param {SyncContext} context
+ * @param {String[]} deletedFiles - Relative paths of the deleted files.
+ * @param {pathFilter|null} filterOutput
+ * @returns {Promise<String[]>} - Relative paths of the removed directories.
+ */
+async function removeEmptyParents(context, deletedFiles, filterOutput) {
+    const { outputDirectory, fileSystem, events } = context;
+    const parentDirectories = [
+        ...new Set(deletedFiles.map((filePath) => path.dirname(filePath))),
+    ].sort((a, b) => b.length - a.length);
+    const removedDirectories = [];
+
+    for (const parentDirectory of parentDirectories) {
+        let directory = parentDirectory;
+        while (directory !== ".") {
+            if (
+                typeof filterOutput === "function" &&
+                !filterOutput(directory)
+            ) {
+                break;
+            }
+            const fullPath = path.join(outputDirectory, directory);
+            const isRemoved = await fileSystem
+                .rmdir(fullPath)
+                .then(() => true)
+                .catch(() => false);
+            if (!isRemoved) break;
+
+            removedDirectories.push(directory);
+            events.emit(
+                { type: "rmdir", path: directory },
+                `rmdir: ${fullPath}`
+            );
+            directory = path.dirname(directory);
+        }
+    }
+    return removedDirectories;
+}
+
+/**
+ * Options of the `cleanEmptyFolders` run that follows a sync. The dry run predicts the
+ * removed directories with the same options. The trash directory is never cleaned.
+ * @param {String} outputDirectory
+ * @param {{
+ * filterOutput: pathFilter|null
+ * exclude: String[]|null
+ * ignoreFiles: String[]|null
+ * trashDirectory: String}} options
+ * @returns {import("./clean-empty-folders.js").CleanEmptyOptions}
+ */
+function createCleanupOptions(outputDirectory, options) {
+    const { filterOutput, exclude, ignoreFiles, trashDirectory } = options;
+    const trashPath = path.normalize(trashDirectory);
+    const isSyncedPath = excludeSyncFiles(filterOutput, trashDirectory);
+    return {
+        filter: (fullPath) => {
+            const relativePath = path.relative(outputDirectory, fullPath);
+            return relativePath !== trashPath && isSyncedPath(relativePath);
+        },
+        exclude,
+        ignoreFiles,
     };
 }
 
-function copyAllFiles(doLogProgress) {
+/**
+ * Predicts which output directories `cleanEmptyFolders` would remove once the
+ * planned copies and deletions are applied, by running it dry on a copy of the output
+ * tree in memory. Only ignore files keep their contents in the copy.
+ * @param {String} outputDirectory
+ * @param {SyncPlanEntry[]} createEntries
+ * @param {SyncPlanEntry[]} deleteEntries
+ * @param {{
+ * filterOutput: pathFilter|null
+ * exclude: String[]|null
+ * ignoreFiles: String[]|null
+ * trashDirectory: String
+ * fileSystem: import("./file-system.js").FileSystem}} options
+ * @returns {Promise<String[]>}
+ */
+async function findDirectoriesToRemove(
+    outputDirectory,
+    createEntries,
+    deleteEntries,
+    options
+) {
+    const { ignoreFiles, fileSystem } = options;
+    const root = path.resolve(outputDirectory);
+    const predicted = createMemoryFileSystem();
+    const ignoreFileNames = new Set(ignoreFiles || []);
+
+    const addFile = async (relativePath, sourcePath) => {
+        const fullPath = path.join(root, relativePath);
+        const contents = ignoreFileNames.has(path.basename(relativePath))
+            ? await fileSystem.readFile(sourcePath, "utf8").catch(() => "")
+            : "";
+        await predicted.mkdir(path.dirname(fullPath), { recursive: true });
+        await predicted.writeFile(fullPath, contents);
+    };
+
+    await predicted.mkdir(root, { recursive: true });
+    const deletedFiles = new Set(deleteEntries.map((entry) => entry.path));
+    for await (const entry of walkFiles(outputDirectory, {
+        includeDirectories: true,
+        fileSystem,
+    })) {
+        if (entry.isDirectory) {
+            await predicted.mkdir(path.join(root, entry.path), {
+                recursive: true,
+            });
+        } else if (!deletedFiles.has(entry.path)) {
+            await addFile(entry.path, path.join(outputDirectory, entry.path));
+        }
+    }
+    for (const entry of createEntries) {
+        await addFile(entry.path, entry.input);
+    }
+
+    const { removedDirectories } = await cleanEmptyFolders(root, {
+        ...createCleanupOptions(root, options),
+        dryRun: true,
+        logger: null,
+        fileSystem: predicted,
+    });
+    return removedDirectories.map((directory) =>
+        path.relative(root, directory)
+    );
+}
+
+/**
+ *
+ * @param {SyncPlanEntry[]} entries
+ * @returns {SyncPlanTotal}
+ */
+function sumPlanEntries(entries) {
+    return entries.reduce(
+        (accumulator, { size }) => ({
+            files: accumulator.files + 1,
+            bytes: accumulator.bytes + size,
+        }),
+        { files: 0, bytes: 0 }
+    );
+}
+
+/**
+ *
+ * @param {SyncPlan} plan
+ * @param {import("./event-logger.js").EventLogger} events
+ */
+function logSyncPlan(plan, events) {
+    const {
+        create,
+        overwrite,
+        move,
+        delete: remove,
+        directories,
+    } = plan.totals;
+    events.log("\nDry run, no changes made.");
+    events.log(`Create: ${create.files} file(s), ${create.bytes} bytes`);
+    events.log(
+        `Overwrite: ${overwrite.files} file(s), ${overwrite.bytes} bytes`
+    );
+    events.log(`Move: ${move.files} file(s), ${move.bytes} bytes`);
+    events.log(`Delete: ${remove.files} file(s), ${remove.bytes} bytes`);
+    events.log(`Unchanged: ${plan.totals.unchanged} file(s)`);
+    events.log(`Remove: ${directories} empty folder(s)`);
+}
+
+/**
+ * @typedef {Object} SyncContext - State shared by the sync steps.
+ * @property {String} outputDirectory
+ * @property {Boolean} resumed - Plan comes from the journal of an interrupted sync, so
+ * some of its files may have been handled before the interruption.
+ * @property {import("./file-system.js").FileSystem} fileSystem
+ * @property {Boolean} doLogProgress
+ * @property {{
+ * atomic: Boolean
+ * streamThreshold: Number
+ * preserveTimestamps: Boolean
+ * preserveMode: Boolean
+ * symlinks: "follow"|"copy"|"skip"
+ * fileSystem: import("./file-system.js").FileSystem}} copyOptions
+ * @property {FileTaskRunner} runFileTask
+ * @property {import("./sync-trash.js").SyncTrash|null} trash
+ * @property {import("./sync-journal.js").JournalWriter|null} journal
+ * @property {import("./event-logger.js").EventLogger} events
+ * @property {SyncReport} report
+ */
+
+/**
+ *
+ * @param {SyncContext} context
+ */
+function deleteRemainingFiles(context) {
+    const { runFileTask, journal, events, report } = context;
+    /** @param {SyncPlanEntry[]} deleteEntries */
+    return async (deleteEntries) => {
+        const removeFilesPromises = deleteEntries.map((entry) =>
+            runFileTask(entry.path, async () => {
+                try {
+                    await removeOutputFile(context, entry);
+                } catch (error) {
+                    if (!isDoneBeforeResume(context, error)) throw error;
+                }
+                if (journal) await journal.markDone(entry.path);
+                report.deleted.push(entry.path);
+                report.bytesDeleted += entry.size;
+                events.emit({
+                    type: "delete",
+                    path: entry.path,
+                    size: entry.size,
+                });
+            })
+        );
+        await Promise.all(removeFilesPromises);
+        events.log(`Removed ${report.deleted.length} files.`);
+    };
+}
+
+/**
+ *
+ * @param {SyncContext} context
+ */
+function moveAllFiles(context) {
+    const {
+        outputDirectory,
+        fileSystem,
+        copyOptions,
+        runFileTask,
+        journal,
+        events,
+        report,
+    } = context;
+    /** @param {SyncPlanEntry[]} moveEntries */
+    return async (moveEntries) => {
+        const moveFilePromises = moveEntries.map((entry) =>
+            runFileTask(entry.path, async () => {
+                const fromPath = path.join(outputDirectory, entry.from);
+                await fileSystem.mkdir(path.dirname(entry.output), {
+                    recursive: true,
+                });
+                try {
+                    await fileSystem.rename(fromPath, entry.output);
+                } catch (error) {
+                    const isMoved =
+                        isDoneBeforeResume(context, error) &&
+                        fileSystem.existsSync(entry.output);
+                    if (!isMoved) throw error;
+                }
+                await preserveAttributes(entry, entry.output, copyOptions);
+                if (journal) await journal.markDone(entry.path);
+                report.moved.push({ from: entry.from, path: entry.path });
+                events.emit({
+                    type: "move",
+                    path: entry.path,
+                    from: entry.from,
+                    size: entry.size,
+                });
+            })
+        );
+        await Promise.all(moveFilePromises);
+    };
+}
+
+/**
+ * Whether an operation failed because an interrupted sync already did it, after
+ * which it stopped before recording it in the journal.
+ * @param {SyncContext} context
+ * @param {Error & {code?: String}} error
+ * @returns {Boolean}
+ */
+function isDoneBeforeResume(context, error) {
+    return context.resumed && error.code === "ENOENT";
+}
+
+/**
+ * Delete an output file, or move it to the trash when one is in use.
+ * @param {SyncContext} context
+ * @param {SyncPlanEntry} entry
+ * @returns {Promise<void>}
+ */
+async function removeOutputFile(context, entry) {
+    const { fileSystem, trash, events, report } = context;
+    if (!trash) {
+        await fileSystem.rm(entry.output);
+        return;
+    }
+
+    const trashPath = await trash.move(entry.path);
+    report.trashed.push(entry.path);
+    events.emit({ type: "trash", path: entry.path, trashPath });
+}
+
+/**
+ *
+ * @param {SyncContext} context
+ * @param {Set<SyncPlanEntry>} overwrites - Entries that replace an existing file.
+ */
+function copyAllFiles(context, overwrites) {
+    const {
+        fileSystem,
+        doLogProgress,
+        copyOptions,
+        runFileTask,
+        trash,
+        journal,
+        events,
+        report,
+    } = context;
+    /** @param {SyncPlanEntry[]} filesToCopy */
     return async (filesToCopy) => {
+        /** @type {CopyProgress} */
+        const progress = {
+            bytesTotal: sumPlanEntries(filesToCopy).bytes,
+            bytesDone: 0,
+            current: null,
+        };
+
         const copyFilePromises = filesToCopy.map(async (file) => {
             const { input, output } = file;
+            const isOverwrite = overwrites.has(file);
+            let fileBytes = 0;
+            const onProgress = (bytes) => {
+                fileBytes += bytes;
+                progress.bytesDone += bytes;
+                progress.current = { file, bytes: fileBytes };
+            };
+
+            const result = await runFileTask(file.path, async () => {
+                progress.bytesDone -= fileBytes;
+                fileBytes = 0;
+                const outputDirname = path.dirname(output);
+
+                if (!fileSystem.existsSync(outputDirname)) {
+                    await fileSystem.mkdir(outputDirname, { recursive: true });
+                }
+
+                const outputStats = isOverwrite
+                    ? await fileSystem.lstat(output).catch(() => null)
+                    : null;
+                const replacesLink =
+                    copyOptions.symlinks === "copy" &&
+                    (file.isSymlink || outputStats?.isSymbolicLink());
+                const { atomic } = copyOptions;
+                const writePath = atomic ? getTempPath(output) : output;
 
-            const outputDirname = path.dirname(output);
+                if (!atomic && outputStats && trash) {
+                    await removeOutputFile(context, file);
+                } else if (!atomic && outputStats && replacesLink) {
+                    await fileSystem.rm(output);
+                }
 
-            if (!existsSync(outputDirname)) {
-                await fs.mkdir(outputDirname, { recursive: true });
+                try {
+                    await writeCopy(file, writePath, {
+                        streamThreshold: copyOptions.streamThreshold,
+                        fileSystem,
+                        onProgress,
+                    });
+                    await preserveAttributes(file, writePath, copyOptions);
+                } catch (error) {
+                    if (atomic) {
+                        await fileSystem.rm(writePath, { force: true });
+                    }
+                    throw error;
+                }
+
+                if (atomic && outputStats && trash) {
+                    await removeOutputFile(context, file);
+                }
+                if (atomic) await fileSystem.rename(writePath, output);
+                if (journal) await journal.markDone(file.path);
+            });
+            if (result === FILE_FAILED) {
+                progress.bytesDone -= fileBytes;
+                return path.basename(input);
             }
 
-            await fs.copyFile(input, output);
+            (isOverwrite ? report.overwritten : report.copied).push(file.path);
+            report.bytesCopied += file.size;
+            events.emit({
+                type: isOverwrite ? "overwrite" : "copy",
+                path: file.path,
+                size: file.size,
+            });
             return path.basename(input);
         });
 
@@ -179,7 +1392,8 @@ function copyAllFiles(doLogProgress) {
             const createProgressBar = createProgressBarGenerator();
             await logProgress(
                 copyFilePromises,
-                createLogMessage(createProgressBar)
+                createLogMessage(createProgressBar, progress),
+                { refreshRate: 250 }
             );
         } else {
             await Promise.all(copyFilePromises);
@@ -187,27 +1401,251 @@ function copyAllFiles(doLogProgress) {
     };
 }
 
-async function filesAreSame(filePathA, filePathB) {
-    try {
-        if (!existsSync(filePathB)) return false;
+/**
+ * @typedef {Object} CopyProgress - Bytes transferred by the running copies.
+ * @property {Number} bytesTotal - Combined size of every file to copy.
+ * @property {Number} bytesDone - Bytes written so far.
+ * @property {{file: SyncPlanEntry, bytes: Number}|null} current - File that last
+ * reported progress, and how many of its bytes were written.
+ */
 
-        const [statsA, statsB] = [
-            await fs.stat(filePathA),
-            await fs.stat(filePathB),
-        ];
-        const sizeIsSame = statsA.size === statsB.size;
-        return sizeIsSame;
-    } catch {
-        return false;
+/**
+ * Write a copy of an input file, or recreate it when it is a symbolic link. Files of at
+ * least streamThreshold bytes are streamed and report every chunk written, then given
+ * the permission bits of the input file as copyFile would.
+ * @param {SyncPlanEntry} file
+ * @param {String} writePath - Path the copy is written to.
+ * @param {{
+ * streamThreshold: Number
+ * fileSystem: import("./file-system.js").FileSystem
+ * onProgress: (bytes: Number) => void}} options
+ * @returns {Promise<void>}
+ */
+async function writeCopy(file, writePath, options) {
+    const { streamThreshold, fileSystem, onProgress } = options;
+
+    if (file.isSymlink) {
+        await fileSystem.rm(writePath, { force: true });
+        const target = await fileSystem.readlink(file.input);
+        await fileSystem.symlink(target, writePath);
+    } else if (file.size >= streamThreshold) {
+        const readStream = fileSystem.createReadStream(file.input);
+        readStream.on("data", (chunk) => onProgress(chunk.length));
+        await pipeline(readStream, fileSystem.createWriteStream(writePath));
+        const { mode } = await fileSystem.stat(file.input);
+        await fileSystem.chmod(writePath, mode & 0o7777);
+        return;
+    } else {
+        await fileSystem.copyFile(file.input, writePath);
     }
+    onProgress(file.size);
+}
+
+/**
+ * Temporary sibling a file is copied to before being renamed into place.
+ * @param {String} filePath
+ * @returns {String}
+ */
+function getTempPath(filePath) {
+    const { dir, base } = path.parse(filePath);
+    return path.join(dir, `.${base}${TEMP_FILE_SUFFIX}`);
 }
 
-function createLogMessage(createProgressBar) {
+/**
+ * Copy the timestamps and permission bits of an input file onto its copy.
+ * @param {SyncPlanEntry} file
+ * @param {String} targetPath - Path of the copy.
+ * @param {SyncContext["copyOptions"]} copyOptions
+ * @returns {Promise<void>}
+ */
+async function preserveAttributes(file, targetPath, copyOptions) {
+    const { preserveTimestamps, preserveMode, fileSystem } = copyOptions;
+    if (!preserveTimestamps && !preserveMode) return;
+
+    const stats = file.isSymlink
+        ? await fileSystem.lstat(file.input)
+        : await fileSystem.stat(file.input);
+
+    if (preserveTimestamps) {
+        const setTimes = file.isSymlink
+            ? fileSystem.lutimes
+            : fileSystem.utimes;
+        await setTimes(targetPath, stats.atime, stats.mtime);
+    }
+    if (preserveMode && !file.isSymlink) {
+        await fileSystem.chmod(targetPath, stats.mode & 0o7777);
+    }
+}
+
+/**
+ * Compare two files that may be symbolic links. Links are the same when both point
+ * to the same target, and never the same as a regular file.
+ * @param {import("./search-entry.js").SearchEntry} inputEntry
+ * @param {import("./search-entry.js").SearchEntry} outputEntry
+ * @param {compare} compare - Comparison used when neither file is a link.
+ * @param {import("./file-system.js").FileSystem} fileSystem
+ * @returns {Promise<Boolean>}
+ */
+async function linksOrFilesAreSame(
+    inputEntry,
+    outputEntry,
+    compare,
+    fileSystem
+) {
+    const { fullPath: inputPath, isSymlink: inputIsLink } = inputEntry;
+    const { fullPath: outputPath, isSymlink: outputIsLink } = outputEntry;
+
+    if (!inputIsLink && !outputIsLink) {
+        return await Promise.resolve(
+            compare(inputPath, outputPath, inputEntry.stats, outputEntry.stats)
+        );
+    }
+    if (!inputIsLink || !outputIsLink) return false;
+
+    const [inputTarget, outputTarget] = await Promise.all([
+        fileSystem.readlink(inputPath),
+        fileSystem.readlink(outputPath),
+    ]);
+    return inputTarget === outputTarget;
+}
+
+/**
+ * @callback FileTaskRunner - Run a file operation through the concurrency limit and
+ * retry policy. Resolves with FILE_FAILED when the failure is collected instead of thrown.
+ * @param {String} filePath - Relative path the operation works on.
+ * @param {() => Promise<any>} task
+ * @returns {Promise<any>}
+ *
+ * @typedef {FileTaskRunner & {errors: SyncError[]}} FileTaskRunnerWithErrors
+ */
+
+/**
+ *
+ * @param {import("../misc/concurrency-limiter.js").LimitTask} limit
+ * @param {{continueOnError: Boolean, retries: Number, retryDelay: Number}} options
+ * @param {import("./event-logger.js").EventLogger} events
+ * @param {SyncError[]} errors - Collected failures.
+ * @returns {FileTaskRunnerWithErrors}
+ */
+function createFileTaskRunner(limit, options, events, errors) {
+    const { continueOnError, retries, retryDelay } = options;
+
+    const runFileTask = (filePath, task) =>
+        limit(async () => {
+            try {
+                return await retry(task, {
+                    retries,
+                    delay: retryDelay,
+                    onRetry: (error, attempt) => {
+                        events.emit({
+                            type: "retry",
+                            path: filePath,
+                            attempt,
+                            error,
+                        });
+                    },
+                });
+            } catch (error) {
+                if (!continueOnError) throw error;
+                errors.push({ path: filePath, error });
+                events.emit(
+                    { type: "error", path: filePath, error },
+                    `Error: '${filePath}' failed -> ${error.message}`
+                );
+                return FILE_FAILED;
+            }
+        });
+
+    return Object.assign(runFileTask, { errors });
+}
+
+/**
+ * Resolve the compare option into a compare callback.
+ * @param {compare|CompareStrategy} compare
+ * @param {import("./file-hash.js").HashCache|null} hashCache
+ * @param {import("./file-system.js").FileSystem} fileSystem
+ * @returns {compare}
+ */
+function createCompare(compare, hashCache, fileSystem) {
+    if (typeof compare === "function") return compare;
+
+    const strategy = compareStrategies[compare];
+    if (!strategy) {
+        throw new Error(`Error: unknown compare strategy '${compare}'.`);
+    }
+    const hash = ({ path: filePath, stats }) =>
+        hashCache
+            ? hashCache.hash(filePath, stats)
+            : hashFile(filePath, "sha256", fileSystem);
+
+    return async (filePathA, filePathB, knownStatsA, knownStatsB) => {
+        try {
+            if (!knownStatsB && !fileSystem.existsSync(filePathB)) return false;
+
+            const [statsA, statsB] = [
+                knownStatsA || (await fileSystem.stat(filePathA)),
+                knownStatsB || (await fileSystem.stat(filePathB)),
+            ];
+            return await strategy(
+                { path: filePathA, stats: statsA },
+                { path: filePathB, stats: statsB },
+                hash
+            );
+        } catch {
+            return false;
+        }
+    };
+}
+
+/**
+ * Keep the hash cache manifest, the journal and the trash directory out of the synced
+ * file lists.
+ * @param {pathFilter|null} filter
+ * @param {String} trashDirectory
+ * @returns {pathFilter}
+ */
+function excludeSyncFiles(filter, trashDirectory) {
+    const trashPrefix = `${path.normalize(trashDirectory)}${path.sep}`;
+    return (filePath) => {
+        if (filePath === HASH_CACHE_FILENAME) return false;
+        if (filePath === JOURNAL_FILENAME) return false;
+        if (filePath.startsWith(trashPrefix)) return false;
+        return typeof filter === "function" ? filter(filePath) : true;
+    };
+}
+
+/**
+ * Progress message showing overall bytes copied and the progress of the current file.
+ * @param {(percentage: Number) => String} createProgressBar
+ * @param {CopyProgress} progress
+ * @returns {import("../console/log-progress.js").format}
+ */
+function createLogMessage(createProgressBar, progress) {
     return (currentFile, index, max) => {
-        const decimalPercentage = index / max;
+        const { bytesTotal, bytesDone, current } = progress;
+        const decimalPercentage =
+            bytesTotal > 0 ? bytesDone / bytesTotal : index / max;
         const progressBar = createProgressBar(decimalPercentage);
         const outputPercentage = Math.floor(decimalPercentage * 100);
-        return `Copying file ${index} of ${max}\nCurrent file: ${currentFile}\n${progressBar} ${outputPercentage}%`;
+
+        const fileName = current
+            ? path.basename(current.file.input)
+            : currentFile || "";
+        const filePercentage =
+            current && current.file.size > 0
+                ? Math.floor((current.bytes / current.file.size) * 100)
+                : 100;
+        const fileProgress = current
+            ? ` (${formatBytes(current.bytes)} of ${formatBytes(
+                  current.file.size
+              )}, ${filePercentage}%)`
+            : "";
+
+        return `Copying file ${index} of ${max}\nCopied ${formatBytes(
+            bytesDone
+        )} of ${formatBytes(
+            bytesTotal
+        )}\nCurrent file: ${fileName}${fileProgress}\n${progressBar} ${outputPercentage}%`;
     };
 }
 
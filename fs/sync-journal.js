@@ -0,0 +1,96 @@
+import path from "node:path";
+import { nodeFileSystem } from "./file-system.js";
+
+const JOURNAL_FILENAME = ".sync-journal.jsonl";
+
+/**
+ * @typedef {import("./sync-directories.js").SyncPlanEntry} SyncPlanEntry
+ *
+ * @typedef {Object} JournalHeader - Work a sync is about to do.
+ * @property {String} input - Input directory of the sync.
+ * @property {SyncPlanEntry[]} create
+ * @property {SyncPlanEntry[]} overwrite
+ * @property {SyncPlanEntry[]} move
+ * @property {SyncPlanEntry[]} delete
+ *
+ * @typedef {JournalHeader & {done: Set<String>}} SyncJournal - Journal of an
+ * interrupted sync, with the paths it finished.
+ *
+ * @typedef {Object} JournalWriter
+ * @property {(relativePath: String) => Promise<void>} markDone - Record a finished file.
+ * @property {() => Promise<void>} close - Remove the journal once the sync completed.
+ */
+
+/**
+ * Read the journal an interrupted sync left in the output directory.
+ * @param {String} outputDirectory
+ * @param {import("./file-system.js").FileSystem} [fileSystem]
+ * @returns {Promise<SyncJournal|null>} - Null when there is no readable journal.
+ */
+async function readSyncJournal(outputDirectory, fileSystem = nodeFileSystem) {
+    const journalPath = path.join(outputDirectory, JOURNAL_FILENAME);
+    try {
+        const contents = await fileSystem.readFile(journalPath, "utf8");
+        const [header, ...records] = contents
+            .split("\n")
+            .filter(Boolean)
+            .map((line) => JSON.parse(line));
+
+        const done = new Set(records.map((record) => record.done));
+        return { ...header, done };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Start a journal for the given work. Finished files are appended as they complete,
+ * so an interrupted sync can pick up where it stopped.
+ * @param {String} outputDirectory
+ * @param {JournalHeader} header
+ * @param {import("./file-system.js").FileSystem} [fileSystem]
+ * @returns {Promise<JournalWriter>}
+ */
+async function createSyncJournal(
+    outputDirectory,
+    header,
+    fileSystem = nodeFileSystem
+) {
+    const journalPath = path.join(outputDirectory, JOURNAL_FILENAME);
+    await fileSystem.writeFile(journalPath, `${JSON.stringify(header)}\n`);
+
+    let writes = Promise.resolve();
+
+    return {
+        markDone: (relativePath) => {
+            const line = `${JSON.stringify({ done: relativePath })}\n`;
+            writes = writes.then(() =>
+                fileSystem.appendFile(journalPath, line)
+            );
+            return writes;
+        },
+        close: async () => {
+            await writes;
+            await fileSystem.rm(journalPath, { force: true });
+        },
+    };
+}
+
+/**
+ * Remove the journal of an interrupted sync, so the next sync starts from scratch.
+ * @param {String} outputDirectory
+ * @param {import("./file-system.js").FileSystem} [fileSystem]
+ * @returns {Promise<void>}
+ */
+async function removeSyncJournal(outputDirectory, fileSystem = nodeFileSystem) {
+    await fileSystem.rm(path.join(outputDirectory, JOURNAL_FILENAME), {
+        force: true,
+    });
+}
+
+export {
+    readSyncJournal,
+    createSyncJournal,
+    removeSyncJournal,
+    JOURNAL_FILENAME,
+};
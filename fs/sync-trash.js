@@ -0,0 +1,204 @@
+import path from "node:path";
+import { searchFilesRecursive } from "./search-files-recursive.js";
+import { nodeFileSystem } from "./file-system.js";
+
+const DEFAULT_TRASH_DIRECTORY = ".sync-trash";
+
+/**
+ * @typedef {Object} TrashOptions
+ * @property {String} [inputOptions.directory = ".sync-trash"] - Trash directory, relative
+ * to the synced output directory.
+ * @property {Number} [inputOptions.retention = 10] - Number of snapshots to keep. Default
+ * (10) keeps the last ten runs that trashed files, however close together they ran, so
+ * with watchDirectories it only covers the last ten change batches. 0 keeps every
+ * snapshot.
+ * @property {import("./file-system.js").FileSystem} [inputOptions.fileSystem] - Filesystem
+ * holding the output directory. Defaults to the real disk.
+ */
+
+/**
+ * @typedef {Object} SyncTrash
+ * @property {String} snapshot - Name of the snapshot this run moves files into. It gets a
+ * counter suffix on the first move if a snapshot with the same timestamp exists.
+ * @property {(relativePath: String) => Promise<String>} move - Move an output file into
+ * the snapshot, returning its new full path.
+ * @property {() => Promise<String[]>} prune - Remove snapshots beyond the retention
+ * limit, returning their names.
+ */
+
+/**
+ * Create a trash snapshot, named after the current time to the millisecond, that deleted
+ * and overwritten files are moved into instead of being removed. Each run gets a
+ * snapshot of its own, so no trashed file is ever replaced.
+ * @param {String} outputDirectory - Synced output directory.
+ * @param {TrashOptions} [inputOptions] - Configurable trash options.
+ * @returns {SyncTrash}
+ */
+function createSyncTrash(outputDirectory, inputOptions = {}) {
+    const defaultOptions = {
+        directory: DEFAULT_TRASH_DIRECTORY,
+        retention: 10,
+        fileSystem: nodeFileSystem,
+    };
+    const { directory, retention, fileSystem } = {
+        ...defaultOptions,
+        ...inputOptions,
+    };
+
+    const trashPath = path.join(outputDirectory, directory);
+    const timestamp = new Date()
+        .toISOString()
+        .replace(/Z$/u, "")
+        .replaceAll(":", "-");
+    let snapshot = timestamp;
+    /** @type {Promise<String>|null} */
+    let reservation = null;
+
+    const reserveSnapshot = async () => {
+        await fileSystem.mkdir(trashPath, { recursive: true });
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await fileSystem.mkdir(path.join(trashPath, snapshot));
+                return path.join(trashPath, snapshot);
+            } catch (error) {
+                if (error.code !== "EEXIST") throw error;
+                snapshot = `${timestamp}-${attempt}`;
+            }
+        }
+    };
+
+    return {
+        get snapshot() {
+            return snapshot;
+        },
+        move: async (relativePath) => {
+            reservation ??= reserveSnapshot();
+            const targetPath = path.join(await reservation, relativePath);
+            await fileSystem.mkdir(path.dirname(targetPath), {
+                recursive: true,
+            });
+            await fileSystem.rename(
+                path.join(outputDirectory, relativePath),
+                targetPath
+            );
+            return targetPath;
+        },
+        prune: async () => {
+            if (retention <= 0) return [];
+            const snapshots = await listTrashSnapshots(outputDirectory, {
+                directory,
+                fileSystem,
+            });
+            const expired = snapshots.slice(0, -retention);
+            await Promise.all(
+                expired.map((name) =>
+                    fileSystem.rm(path.join(trashPath, name), {
+                        recursive: true,
+                    })
+                )
+            );
+            return expired;
+        },
+    };
+}
+
+/**
+ * List the trash snapshots of an output directory, oldest first.
+ * @param {String} outputDirectory - Synced output directory.
+ * @param {{
+ * directory?: String
+ * fileSystem?: import("./file-system.js").FileSystem}} [inputOptions] - Trash directory,
+ * relative to the output directory, defaults to ".sync-trash". Filesystem defaults to
+ * the real disk.
+ * @returns {Promise<String[]>} - Snapshot names.
+ */
+async function listTrashSnapshots(outputDirectory, inputOptions = {}) {
+    const { directory, fileSystem } = {
+        directory: DEFAULT_TRASH_DIRECTORY,
+        fileSystem: nodeFileSystem,
+        ...inputOptions,
+    };
+    const trashPath = path.join(outputDirectory, directory);
+    if (!fileSystem.existsSync(trashPath)) return [];
+
+    const entries = await fileSystem.readdir(trashPath, {
+        withFileTypes: true,
+    });
+    return entries
+        .filter((entry) => entry.isDirectory())
+        .map((entry) => entry.name)
+        .sort();
+}
+
+/**
+ * @typedef {Object} RestoreReport
+ * @property {String} snapshot - Name of the restored snapshot.
+ * @property {String[]} restored - Relative paths moved back into the output directory.
+ * @property {String[]} skipped - Relative paths left in the trash because a file already
+ * exists at their original location.
+ */
+
+/**
+ * Move the files of a trash snapshot back to their original location.
+ * @param {String} outputDirectory - Synced output directory.
+ * @param {Object} [inputOptions] - Configurable restore options.
+ * @param {String} [inputOptions.directory = ".sync-trash"] - Trash directory, relative
+ * to the output directory.
+ * @param {String} [inputOptions.snapshot] - Snapshot to restore. Defaults to the most
+ * recent one.
+ * @param {Boolean} [inputOptions.overwrite = false] - Replace files that exist at the
+ * original location (true) or leave them and skip the trashed copy (false).
+ * @param {import("./file-system.js").FileSystem} [inputOptions.fileSystem] - Filesystem
+ * holding the output directory. Defaults to the real disk.
+ * @returns {Promise<RestoreReport>}
+ */
+async function restoreFromTrash(outputDirectory, inputOptions = {}) {
+    const defaultOptions = {
+        directory: DEFAULT_TRASH_DIRECTORY,
+        snapshot: null,
+        overwrite: false,
+        fileSystem: nodeFileSystem,
+    };
+    const { directory, overwrite, fileSystem, ...options } = {
+        ...defaultOptions,
+        ...inputOptions,
+    };
+
+    const snapshots = await listTrashSnapshots(outputDirectory, {
+        directory,
+        fileSystem,
+    });
+    const snapshot = options.snapshot || snapshots.at(-1);
+    if (!snapshot || !snapshots.includes(snapshot)) {
+        throw new Error(
+            `Error: no trash snapshot '${
+                snapshot || ""
+            }' in '${outputDirectory}'.`
+        );
+    }
+
+    const snapshotPath = path.join(outputDirectory, directory, snapshot);
+    const files = await searchFilesRecursive(snapshotPath, { fileSystem });
+    const report = { snapshot, restored: [], skipped: [] };
+
+    for (const filePath of files) {
+        const originalPath = path.join(outputDirectory, filePath);
+        if (!overwrite && fileSystem.existsSync(originalPath)) {
+            report.skipped.push(filePath);
+            continue;
+        }
+        await fileSystem.mkdir(path.dirname(originalPath), { recursive: true });
+        await fileSystem.rename(
+            path.join(snapshotPath, filePath),
+            originalPath
+        );
+        report.restored.push(filePath);
+    }
+
+    if (report.skipped.length === 0) {
+        await fileSystem.rm(snapshotPath, { recursive: true });
+    }
+    return report;
+}
+
+export { createSyncTrash, listTrashSnapshots, restoreFromTrash };
@@ -0,0 +1,270 @@
+import path from "node:path";
+import { createPatternFilter, matchIgnoreRules } from "./path-patterns.js";
+import { nodeFileSystem } from "./file-system.js";
+import { statLinkTarget, getInodeKey } from "./search-entry.js";
+import { readIgnoreFiles } from "./ignore-files.js";
+
+/**
+ * @typedef {Object} WalkEntry
+ * @property {String} path - Path relative to the walked directory.
+ * @property {String} fullPath - Path including the walked directory.
+ * @property {Boolean} isDirectory
+ * @property {Boolean} isSymbolicLink
+ * @property {Number} depth - 1 for entries directly inside the walked directory.
+ *
+ * @typedef {Object} PendingDirectory - Directory waiting to be read.
+ * @property {String} directory - Directory path relative to the walked directory.
+ * @property {Number} depth - Depth of the directory, 0 for the walked directory.
+ * @property {String[]} ancestors - Device and inode keys of the directories above it.
+ * Only tracked with followSymlinks.
+ * @property {import("./path-patterns.js").IgnoreRules[]} ignoreRules - Rules of the ignore
+ * files above it.
+ *
+ * @typedef {PendingDirectory & {
+ * entries?: import("./file-system.js").DirectoryEntry[]
+ * error?: Error}} DirectoryRead - Finished readdir waiting to be walked. Its ancestors
+ * and ignore rules include the directory itself.
+ */
+
+/**
+ * Callback that decides whether a walk enters a directory.
+ * @callback DescendFilter
+ * @param {String} directoryPath - Directory path relative to the walked directory.
+ * @param {import("./file-system.js").DirectoryEntry} entry
+ * @returns {Boolean} - Enter the directory (true) or skip its contents (false).
+ */
+
+/**
+ * Callback that receives the symbolic links whose target is missing.
+ * @callback BrokenSymlinkCallback
+ * @param {WalkEntry} entry
+ * @returns {void}
+ */
+
+/**
+ * @typedef {Object} WalkOptions
+ * @property {Boolean} [inputOptions.includeDirectories = false] - Yield directories as
+ * well as files.
+ * @property {Boolean} [inputOptions.includeSymlinks = true] - Yield symbolic links.
+ * @property {String[]|null} [inputOptions.include = null] - Gitignore-style patterns. Only
+ * files matching one of them are yielded.
+ * @property {String[]|null} [inputOptions.exclude = null] - Gitignore-style patterns.
+ * Matching files are skipped and matching directories are not read.
+ * @property {DescendFilter|null} [inputOptions.descend = null] - Decides whether the walk
+ * enters a directory. Skipped directories are still yielded with includeDirectories.
+ * @property {Number} [inputOptions.maxDepth = 0] - Deepest level yielded, 1 being the
+ * entries directly inside the walked directory. Deeper directories are not read. Default
+ * (0) means no limit.
+ * @property {Number} [inputOptions.minDepth = 0] - Shallowest level yielded. Default (0)
+ * yields every level.
+ * @property {Number} [inputOptions.concurrency = 8] - Max number of directories read
+ * ahead of the walk at once.
+ * @property {Boolean} [inputOptions.followSymlinks = false] - Walk into symbolic links to
+ * directories, which are yielded as directories. A link leading back to one of its own
+ * parent directories (same device and inode) is yielded but not walked into.
+ * @property {BrokenSymlinkCallback|null} [inputOptions.onBrokenSymlink = null] - Receives
+ * broken links instead of them being yielded. Only used with followSymlinks.
+ * @property {String[]|null} [inputOptions.ignoreFiles = null] - Names of gitignore-style
+ * files, such as ".gitignore" and ".ignore". Their patterns apply to the directory they
+ * are found in and everything below it, with deeper files and later names taking
+ * precedence.
+ * @property {import("./file-system.js").FileSystem} [inputOptions.fileSystem] - Filesystem
+ * to walk. Defaults to the real disk.
+ */
+
+/**
+ * Walk a directory tree, yielding its entries depth first: each directory's entries in
+ * readdir order, with a subdirectory's entries right after it. Directories are read a
+ * few at a time ahead of the walk and only while the consumer keeps up, so memory use
+ * stays flat on large trees, and breaking out of the loop stops the walk.
+ * @param {String} directory - Directory to walk.
+ * @param {WalkOptions} [inputOptions] - Configurable walk options.
+ * @returns {AsyncGenerator<WalkEntry>}
+ */
+async function* walkFiles(directory, inputOptions = {}) {
+    const defaultOptions = {
+        includeDirectories: false,
+        includeSymlinks: true,
+        include: null,
+        exclude: null,
+        descend: null,
+        maxDepth: 0,
+        minDepth: 0,
+        concurrency: 8,
+        followSymlinks: false,
+        onBrokenSymlink: null,
+        ignoreFiles: null,
+        fileSystem: nodeFileSystem,
+    };
+    const {
+        includeDirectories,
+        includeSymlinks,
+        include,
+        exclude,
+        descend,
+        maxDepth,
+        minDepth,
+        concurrency,
+        followSymlinks,
+        onBrokenSymlink,
+        ignoreFiles,
+        fileSystem,
+    } = { ...defaultOptions, ...inputOptions };
+
+    const patternFilter =
+        include || exclude ? createPatternFilter({ include, exclude }) : null;
+    const maxReads = Math.max(1, concurrency);
+    let heldReads = 0;
+
+    /**
+     * Read a pending directory. With followSymlinks, a directory that is one of its own
+     * ancestors is reached through a link cycle and left empty.
+     * @param {PendingDirectory} pending
+     * @returns {Promise<DirectoryRead>}
+     */
+    const readDirectory = async (pending) => {
+        const fullPath = path.join(directory, pending.directory);
+        const inodeKey = followSymlinks
+            ? getInodeKey(await fileSystem.stat(fullPath))
+            : null;
+        if (inodeKey && pending.ancestors.includes(inodeKey)) {
+            return { ...pending, entries: [] };
+        }
+
+        const entries = await fileSystem.readdir(fullPath, {
+            withFileTypes: true,
+        });
+        const ignoreRules = ignoreFiles
+            ? await readIgnoreFiles(fullPath, pending.directory, entries, {
+                  ignoreFiles,
+                  fileSystem,
+              })
+            : [];
+        return {
+            ...pending,
+            ancestors: inodeKey
+                ? [...pending.ancestors, inodeKey]
+                : pending.ancestors,
+            ignoreRules: [...pending.ignoreRules, ...ignoreRules],
+            entries,
+        };
+    };
+
+    /**
+     * Start reading a directory. Reads count towards maxReads until they are walked.
+     * @param {PendingDirectory} pending
+     * @returns {Promise<DirectoryRead>}
+     */
+    const startRead = (pending) => {
+        heldReads++;
+        return readDirectory(pending).catch((error) => ({ ...pending, error }));
+    };
+
+    /**
+     * Yield the entries of a directory in readdir order, each subdirectory's entries
+     * right after it. The next subdirectories are read ahead while earlier ones are
+     * walked.
+     * @param {Promise<DirectoryRead>} read
+     * @returns {AsyncGenerator<WalkEntry>}
+     */
+    async function* walkDirectory(read) {
+        const {
+            directory: relativeDirectory,
+            depth: directoryDepth,
+            ancestors,
+            ignoreRules,
+            entries,
+            error,
+        } = await read;
+        heldReads--;
+        if (error) throw error;
+        const depth = directoryDepth + 1;
+
+        /** @type {{walkEntry: WalkEntry, isYielded: Boolean, pending: PendingDirectory|null}[]} */
+        const walkEntries = [];
+        for (const entry of entries) {
+            const isSymbolicLink = entry.isSymbolicLink();
+            if (!includeSymlinks && isSymbolicLink) continue;
+
+            const relativePath = path.join(relativeDirectory, entry.name);
+            const fullPath = path.join(directory, relativePath);
+            const target =
+                followSymlinks && isSymbolicLink
+                    ? await statLinkTarget(fullPath, fileSystem)
+                    : null;
+            const isDirectory = target
+                ? target.isDirectory()
+                : entry.isDirectory();
+            if (patternFilter && !patternFilter(relativePath, isDirectory)) {
+                continue;
+            }
+            if (
+                ignoreRules.length > 0 &&
+                matchIgnoreRules(ignoreRules, relativePath, isDirectory)
+            ) {
+                continue;
+            }
+
+            const walkEntry = {
+                path: relativePath,
+                fullPath,
+                isDirectory,
+                isSymbolicLink,
+                depth,
+            };
+            const isBroken = followSymlinks && isSymbolicLink && !target;
+            if (isBroken && typeof onBrokenSymlink === "function") {
+                onBrokenSymlink(walkEntry);
+                continue;
+            }
+
+            const isDescended =
+                isDirectory &&
+                (maxDepth <= 0 || depth < maxDepth) &&
+                (typeof descend !== "function" || descend(relativePath, entry));
+            walkEntries.push({
+                walkEntry,
+                isYielded:
+                    (!isDirectory || includeDirectories) && depth >= minDepth,
+                pending: isDescended
+                    ? { directory: relativePath, depth, ancestors, ignoreRules }
+                    : null,
+            });
+        }
+
+        const subdirectories = walkEntries
+            .map(({ pending }) => pending)
+            .filter(Boolean);
+        /** @type {Promise<DirectoryRead>[]} */
+        const subdirectoryReads = [];
+        const readAhead = () => {
+            while (
+                subdirectoryReads.length < subdirectories.length &&
+                heldReads < maxReads
+            ) {
+                subdirectoryReads.push(
+                    startRead(subdirectories[subdirectoryReads.length])
+                );
+            }
+        };
+
+        let subdirectoryIndex = 0;
+        readAhead();
+        for (const { walkEntry, isYielded, pending } of walkEntries) {
+            if (isYielded) yield walkEntry;
+            if (!pending) continue;
+
+            if (subdirectoryIndex === subdirectoryReads.length) {
+                subdirectoryReads.push(startRead(pending));
+            }
+            yield* walkDirectory(subdirectoryReads[subdirectoryIndex++]);
+            readAhead();
+        }
+    }
+
+    yield* walkDirectory(
+        startRead({ directory: "", depth: 0, ancestors: [], ignoreRules: [] })
+    );
+}
+
+export { walkFiles };
@@ -0,0 +1,145 @@
+import { watch } from "node:fs";
+import path from "node:path";
+import { syncDirectories } from "./sync-directories.js";
+import { createEventLogger } from "./event-logger.js";
+
+/**
+ * @typedef {{[option: string]: any} & {
+ * debounce?: Number}} WatchOptions - debounce is the time in ms (default 200) to wait for
+ * changes to settle before syncing them.
+ */
+
+/**
+ * @typedef {Object} DirectoryWatcher
+ * @property {import("./sync-directories.js").SyncReport} report - Report of the
+ * initial sync.
+ * @property {() => Promise<void>} close - Stop watching and wait for the running
+ * sync to finish.
+ */
+
+/**
+ * Sync an output directory with an input directory, then keep mirroring changes
+ * made to the input directory until the watcher is closed. Changes made during the
+ * initial sync are mirrored once it finishes. Needs Node 20 or later on Linux.
+ *
+ * @param {String} inputDirectory - Directory to copy files from.
+ * @param {String} outputDirectory - Directory to copy files into.
+ * @param {WatchOptions} [inputOptions] - Every syncDirectories option except dryRun, paths
+ * and fileSystem, as changes are watched on the real disk, plus debounce.
+ * @returns {Promise<DirectoryWatcher>}
+ */
+async function watchDirectories(
+    inputDirectory,
+    outputDirectory,
+    inputOptions = {}
+) {
+    const defaultOptions = {
+        debounce: 200,
+        logProgress: false,
+    };
+    /** @type {{[option: string]: any}} */
+    const options = { ...defaultOptions, ...inputOptions };
+    const { debounce, dryRun, paths, fileSystem, ...syncOptions } = options;
+    const events = createEventLogger(syncOptions);
+
+    /** @type {Set<String>} */
+    const changedPaths = new Set();
+    let needsFullSync = false;
+    let timeout = null;
+    let running = Promise.resolve();
+
+    const syncChanges = () => {
+        timeout = null;
+        const batchPaths = needsFullSync ? null : [...changedPaths];
+        changedPaths.clear();
+        needsFullSync = false;
+
+        running = running
+            .then(() =>
+                syncDirectories(inputDirectory, outputDirectory, {
+                    ...syncOptions,
+                    paths: batchPaths,
+                })
+            )
+            .then(
+                () => {},
+                (error) => {
+                    events.emit(
+                        { type: "error", error },
+                        `Error: watch sync failed -> ${error.message}`
+                    );
+                }
+            );
+    };
+
+    const watcher = createWatcher(inputDirectory, (eventType, filename) => {
+        if (filename) {
+            changedPaths.add(path.normalize(String(filename)));
+        } else {
+            needsFullSync = true;
+        }
+
+        clearTimeout(timeout);
+        timeout = setTimeout(syncChanges, debounce);
+    });
+
+    watcher.on("error", (error) => {
+        events.emit(
+            { type: "error", error },
+            `Error: watcher failed -> ${error.message}`
+        );
+    });
+
+    const initialSync = syncDirectories(
+        inputDirectory,
+        outputDirectory,
+        syncOptions
+    );
+    running = initialSync.then(
+        () => {},
+        () => {}
+    );
+
+    const close = async () => {
+        watcher.close();
+        clearTimeout(timeout);
+        await running;
+    };
+
+    let report;
+    try {
+        report = /** @type {import("./sync-directories.js").SyncReport} */ (
+            await initialSync
+        );
+    } catch (error) {
+        await close();
+        throw error;
+    }
+
+    events.emit(
+        { type: "watch", input: inputDirectory, output: outputDirectory },
+        `Watching ${inputDirectory} for changes...`
+    );
+
+    return { report, close };
+}
+
+/**
+ * Watch a directory and everything below it. Recursive watching needs Node 20 or later
+ * on Linux, so unsupported platforms fail before anything is synced.
+ * @param {String} directory
+ * @param {(eventType: String, filename: String|Buffer|null) => void} listener
+ * @returns {import("node:fs").FSWatcher}
+ */
+function createWatcher(directory, listener) {
+    try {
+        return watch(directory, { recursive: true }, listener);
+    } catch (error) {
+        if (error.code !== "ERR_FEATURE_UNAVAILABLE_ON_PLATFORM") throw error;
+        throw new Error(
+            `Error: recursive file watching is not supported by Node ${process.version} on ${process.platform}. Use Node 20 or later.`
+        );
+    }
+}
+
+export { watchDirectories };
@@ -0,0 +1,39 @@
+/**
+ * @callback LimitTask - Queue a task and resolve with its result once it has run.
+ * @param {() => any} task - Function that starts the asynchronous operation.
+ * @returns {Promise<any>}
+ */
+
+/**
+ * Create a queue that caps how many asynchronous tasks run at the same time.
+ * @param {Number} [concurrency = 0] - Max number of tasks in flight. Default (0) means
+ * no limit.
+ * @returns {LimitTask}
+ */
+function createConcurrencyLimiter(concurrency = 0) {
+    const maxActive = concurrency > 0 ? concurrency : Infinity;
+    const queue = [];
+    let activeCount = 0;
+
+    const runNext = () => {
+        if (activeCount >= maxActive || queue.length === 0) return;
+        activeCount++;
+
+        const { task, resolve, reject } = queue.shift();
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                activeCount--;
+                runNext();
+            });
+    };
+
+    return (task) =>
+        new Promise((resolve, reject) => {
+            queue.push({ task, resolve, reject });
+            runNext();
+        });
+}
+
+export { createConcurrencyLimiter };
@@ -1 +1,3 @@
 export * from "./sleep.js";
+export * from "./concurrency-limiter.js";
+export * from "./retry.js";
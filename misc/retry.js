@@ -0,0 +1,46 @@
+import { sleep } from "./sleep.js";
+
+/**
+ * @callback OnRetry
+ * @param {any} error - Error thrown by the failed attempt.
+ * @param {Number} attempt - Number of the retry about to run, starting at 1.
+ * @returns {void}
+ */
+
+/**
+ * Run an asynchronous task, trying again with exponential backoff when it fails.
+ * @template T
+ * @param {() => Promise<T>|T} task - Function that starts the operation.
+ * @param {Object} [inputOptions] - Configurable retry options.
+ * @param {Number} [inputOptions.retries = 3] - Number of attempts after the first one.
+ * @param {Number} [inputOptions.delay = 100] - Time in ms before the first retry.
+ * @param {Number} [inputOptions.factor = 2] - Multiplier applied to the delay after
+ * every retry.
+ * @param {OnRetry} [inputOptions.onRetry] - Called before each retry.
+ * @returns {Promise<T>} - Result of the first successful attempt. Rejects with the
+ * last error once every attempt has failed.
+ */
+async function retry(task, inputOptions = {}) {
+    const defaultOptions = {
+        retries: 3,
+        delay: 100,
+        factor: 2,
+        onRetry: null,
+    };
+    const { retries, delay, factor, onRetry } = {
+        ...defaultOptions,
+        ...inputOptions,
+    };
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await task();
+        } catch (error) {
+            if (attempt >= retries) throw error;
+            if (typeof onRetry === "function") onRetry(error, attempt + 1);
+            await sleep(delay * factor ** attempt);
+        }
+    }
+}
+
+export { retry };
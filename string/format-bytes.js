@@ -0,0 +1,23 @@
+const BYTE_UNITS = ["B", "KB", "MB", "GB", "TB", "PB"];
+
+/**
+ * Formats a number of bytes as a human readable size, using powers of 1024.
+ * @param {Number} bytes
+ * @param {{decimals?: Number}} [inputOptions] - Number of decimals shown for units
+ * above bytes. Defaults to 1.
+ * @returns {String} - e.g. "512 B", "1.5 MB".
+ */
+function formatBytes(bytes, inputOptions = {}) {
+    const { decimals } = { decimals: 1, ...inputOptions };
+    const exponent = Math.min(
+        Math.max(0, Math.floor(Math.log(Math.abs(bytes)) / Math.log(1024))),
+        BYTE_UNITS.length - 1
+    );
+
+    if (!Number.isFinite(exponent) || exponent === 0) return `${bytes} B`;
+
+    const value = bytes / 1024 ** exponent;
+    return `${value.toFixed(decimals)} ${BYTE_UNITS[exponent]}`;
+}
+
+export { formatBytes };
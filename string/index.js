@@ -3,3 +3,4 @@ export * from "./normalize.js";
 export * from "./clear-white-space.js";
 export * from "./basic.js";
 export * from "./c-format.js";
+export * from "./format-bytes.js";
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { cleanEmptyFolders } from "../fs/clean-empty-folders.js";
+import { createMemoryFileSystem } from "../fs/memory-file-system.js";
+
+test("directories holding only junk files are removed with them", async () => {
+    const fileSystem = createMemoryFileSystem({
+        files: { "/r/a/x.tmp": "x", "/r/a/.DS_Store": "", "/r/b/keep": "k" },
+    });
+
+    const report = await cleanEmptyFolders("/r", {
+        junkPatterns: ["*.tmp", ".DS_Store"],
+        logger: null,
+        fileSystem,
+    });
+    assert.deepEqual(report.removedDirectories, ["/r/a"]);
+    assert.deepEqual(report.removedJunkFiles.sort(), [
+        "/r/a/.DS_Store",
+        "/r/a/x.tmp",
+    ]);
+    assert.equal(fileSystem.existsSync("/r/a"), false);
+    assert.ok(fileSystem.existsSync("/r/b/keep"));
+});
+
+test("junk patterns never match directories or the files inside them", async () => {
+    for (const dryRun of [true, false]) {
+        const fileSystem = createMemoryFileSystem({
+            files: { "/r/a/cache.tmp/data": "data", "/r/a/x.tmp": "x" },
+        });
+
+        const report = await cleanEmptyFolders("/r", {
+            junkPatterns: ["*.tmp"],
+            dryRun,
+            logger: null,
+            fileSystem,
+        });
+        assert.deepEqual(report.removedDirectories, []);
+        assert.deepEqual(report.removedJunkFiles, []);
+        assert.equal(
+            await fileSystem.readFile("/r/a/cache.tmp/data", "utf8"),
+            "data"
+        );
+        assert.ok(fileSystem.existsSync("/r/a/x.tmp"));
+    }
+});
+
+test("followSymlinks cleans linked directories once and keeps the link targets", async () => {
+    const fileSystem = createMemoryFileSystem({
+        files: {
+            "/r/target/empty/": null,
+            "/r/target/loop": { symlink: ".." },
+            "/r/link": { symlink: "target" },
+            "/r/broken": { symlink: "missing" },
+        },
+    });
+
+    const report = await cleanEmptyFolders("/r", {
+        followSymlinks: true,
+        logger: null,
+        fileSystem,
+    });
+    assert.deepEqual(report.removedDirectories, ["/r/target/empty"]);
+    assert.deepEqual(report.brokenSymlinks, ["/r/broken"]);
+    assert.ok(fileSystem.existsSync("/r/target"));
+});
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    createDirectoryManifest,
+    diffManifests,
+} from "../fs/directory-manifest.js";
+import { createMemoryFileSystem } from "../fs/memory-file-system.js";
+
+test("diffManifests reports added, removed, modified and moved files", async () => {
+    const fileSystem = createMemoryFileSystem({
+        files: {
+            "/a/same": "same",
+            "/a/changed": "old",
+            "/a/gone": "gone",
+            "/a/old-name": "moved",
+            "/b/same": "same",
+            "/b/changed": "new",
+            "/b/new": "new file",
+            "/b/new-name": "moved",
+        },
+    });
+    const options = { hash: true, fileSystem };
+
+    const diff = diffManifests(
+        await createDirectoryManifest("/a", options),
+        await createDirectoryManifest("/b", options)
+    );
+    assert.deepEqual(diff, {
+        added: ["new"],
+        removed: ["gone"],
+        modified: ["changed"],
+        moved: [{ from: "old-name", path: "new-name" }],
+        unchanged: 1,
+    });
+});
+
+test("diffManifests treats Object.prototype names as plain file names", async () => {
+    const fileSystem = createMemoryFileSystem({
+        files: {
+            "/a/": null,
+            "/b/constructor": "c",
+            "/b/toString": "t",
+            "/b/__proto__": "p",
+        },
+    });
+
+    const diff = diffManifests(
+        await createDirectoryManifest("/a", { fileSystem }),
+        await createDirectoryManifest("/b", { fileSystem })
+    );
+    assert.deepEqual(diff.added.sort(), [
+        "__proto__",
+        "constructor",
+        "toString",
+    ]);
+    assert.deepEqual(diff.modified, []);
+});
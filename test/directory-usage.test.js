@@ -0,0 +1,171 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { directoryUsage } from "../fs/directory-usage.js";
+import { createMemoryFileSystem } from "../fs/memory-file-system.js";
+import { printUsageTree } from "../console/usage-tree.js";
+
+/**
+ * Memory filesystem of a small project: 10 bytes at the top, 7 in src, 4 in src/lib,
+ * 2 in docs and an empty directory.
+ * @returns {import("../fs/memory-file-system.js").MemoryFileSystem}
+ */
+function createProject() {
+    return createMemoryFileSystem({
+        files: {
+            "/p/readme.md": "0123456789",
+            "/p/src/main.js": "012",
+            "/p/src/lib/util.js": "0123",
+            "/p/docs/guide.md": "01",
+            "/p/empty/": null,
+        },
+    });
+}
+
+test("totals every directory with the files below it", async () => {
+    const usage = await directoryUsage("/p", {
+        fileSystem: createProject(),
+    });
+
+    assert.equal(usage.root.name, "p");
+    assert.equal(usage.root.size, 19);
+    assert.equal(usage.root.files, 4);
+    assert.deepEqual(
+        usage.root.children.map(({ path, size, files, depth }) => [
+            path,
+            size,
+            files,
+            depth,
+        ]),
+        [
+            ["src", 7, 2, 1],
+            ["docs", 2, 1, 1],
+            ["empty", 0, 0, 1],
+        ]
+    );
+    assert.deepEqual(
+        usage.root.children[0].children.map(({ path, size }) => [path, size]),
+        [["src/lib", 4]]
+    );
+    assert.deepEqual(
+        usage.largestFiles.map(({ path }) => path),
+        ["readme.md", "src/lib/util.js", "src/main.js", "docs/guide.md"]
+    );
+    assert.deepEqual(
+        usage.largestDirectories.map(({ path }) => path),
+        ["src", "src/lib", "docs", "empty"]
+    );
+});
+
+test("counts hard linked files once", async () => {
+    const fileSystem = createProject();
+    await fileSystem.link("/p/readme.md", "/p/docs/readme.md");
+
+    const usage = await directoryUsage("/p", { fileSystem });
+
+    assert.equal(usage.root.size, 19);
+    assert.equal(usage.root.files, 4);
+    assert.equal(usage.largestFiles.length, 4);
+});
+
+test("maxDepth trims the tree but keeps the totals", async () => {
+    const usage = await directoryUsage("/p", {
+        maxDepth: 1,
+        fileSystem: createProject(),
+    });
+
+    const src = usage.root.children[0];
+    assert.equal(src.path, "src");
+    assert.deepEqual(src.children, []);
+    assert.equal(src.size, 7);
+    assert.equal(src.files, 2);
+    assert.deepEqual(
+        usage.largestDirectories.map(({ path }) => path),
+        ["src", "src/lib", "docs", "empty"]
+    );
+});
+
+test("top limits the largest files and directories", async () => {
+    const usage = await directoryUsage("/p", {
+        top: 1,
+        fileSystem: createProject(),
+    });
+
+    assert.deepEqual(
+        usage.largestFiles.map(({ path }) => path),
+        ["readme.md"]
+    );
+    assert.deepEqual(
+        usage.largestDirectories.map(({ path }) => path),
+        ["src"]
+    );
+
+    const none = await directoryUsage("/p", {
+        top: 0,
+        fileSystem: createProject(),
+    });
+    assert.deepEqual(none.largestFiles, []);
+    assert.deepEqual(none.largestDirectories, []);
+});
+
+test("excluded files and directories are left out of the totals", async () => {
+    const usage = await directoryUsage("/p", {
+        exclude: ["src/lib/", "*.md"],
+        fileSystem: createProject(),
+    });
+
+    assert.equal(usage.root.size, 3);
+    assert.deepEqual(
+        usage.root.children.map(({ path, size }) => [path, size]),
+        [
+            ["src", 3],
+            ["docs", 0],
+            ["empty", 0],
+        ]
+    );
+    assert.deepEqual(usage.root.children[0].children, []);
+});
+
+test("followSymlinks counts linked directories", async () => {
+    const fileSystem = createMemoryFileSystem({
+        files: {
+            "/p/a.txt": "01",
+            "/p/link": { symlink: "/shared" },
+            "/shared/data.bin": "01234",
+        },
+    });
+
+    const plain = await directoryUsage("/p", { fileSystem });
+    assert.equal(plain.root.size, 2);
+
+    const followed = await directoryUsage("/p", {
+        followSymlinks: true,
+        fileSystem,
+    });
+    assert.equal(followed.root.size, 7);
+    assert.deepEqual(
+        followed.root.children.map(({ path, size }) => [path, size]),
+        [["link", 5]]
+    );
+});
+
+test("printUsageTree prints the tree largest first and sums hidden directories", async () => {
+    const usage = await directoryUsage("/p", {
+        fileSystem: createProject(),
+    });
+
+    const tree = printUsageTree(usage, {
+        maxChildren: 1,
+        colors: false,
+        logger: null,
+    });
+
+    assert.equal(
+        tree,
+        [
+            "p  19 B  4 file(s)",
+            "├── src  7 B 37%  2 file(s)",
+            "│   └── lib  4 B 57%  1 file(s)",
+            "└── 2 more directory(ies), 2 B",
+        ].join("\n")
+    );
+});
@@ -0,0 +1,178 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findDuplicateFiles } from "../fs/find-duplicate-files.js";
+import { createMemoryFileSystem } from "../fs/memory-file-system.js";
+
+/**
+ * Memory filesystem with three copies of one file, oldest first, and a unique file of
+ * the same size.
+ * @returns {import("../fs/memory-file-system.js").MemoryFileSystem}
+ */
+function createDuplicates() {
+    const now = Date.now();
+    return createMemoryFileSystem({
+        files: {
+            "/d/a.txt": { content: "same", mtimeMs: now - 3000 },
+            "/d/b.txt": { content: "same", mtimeMs: now - 1000 },
+            "/d/sub/c.txt": { content: "same", mtimeMs: now - 2000 },
+            "/d/unique.txt": "diff",
+        },
+    });
+}
+
+/**
+ * @param {import("../fs/memory-file-system.js").MemoryFileSystem} fileSystem
+ * @param {String} directory
+ * @returns {Promise<String[]>}
+ */
+async function listNames(fileSystem, directory) {
+    const entries = await fileSystem.readdir(directory, {
+        withFileTypes: true,
+    });
+    return entries.map((entry) => entry.name);
+}
+
+test("groups identical files and only reports them without an action", async () => {
+    const fileSystem = createDuplicates();
+
+    const report = await findDuplicateFiles("/d", { logger: null, fileSystem });
+
+    assert.equal(report.groups.length, 1);
+    assert.deepEqual(report.groups[0].files, [
+        "/d/a.txt",
+        "/d/b.txt",
+        "/d/sub/c.txt",
+    ]);
+    assert.equal(report.groups[0].keeper, "/d/a.txt");
+    assert.equal(report.wastedBytes, 8);
+    assert.deepEqual(report.deleted, []);
+    assert.deepEqual(report.linked, []);
+    assert.deepEqual(await listNames(fileSystem, "/d"), [
+        "a.txt",
+        "b.txt",
+        "sub",
+        "unique.txt",
+    ]);
+});
+
+test("delete removes every duplicate but the keeper", async () => {
+    const fileSystem = createDuplicates();
+
+    const report = await findDuplicateFiles("/d", {
+        action: "delete",
+        keep: "newest",
+        logger: null,
+        fileSystem,
+    });
+
+    assert.equal(report.groups[0].keeper, "/d/b.txt");
+    assert.deepEqual(report.deleted, ["/d/a.txt", "/d/sub/c.txt"]);
+    assert.deepEqual(await listNames(fileSystem, "/d"), [
+        "b.txt",
+        "sub",
+        "unique.txt",
+    ]);
+    assert.deepEqual(await listNames(fileSystem, "/d/sub"), []);
+    assert.equal(await fileSystem.readFile("/d/b.txt", "utf8"), "same");
+});
+
+test("hardlink replaces duplicates with links to the keeper", async () => {
+    const fileSystem = createDuplicates();
+
+    const report = await findDuplicateFiles("/d", {
+        action: "hardlink",
+        keep: "oldest",
+        logger: null,
+        fileSystem,
+    });
+
+    assert.deepEqual(report.linked, ["/d/b.txt", "/d/sub/c.txt"]);
+    const keeperIno = (await fileSystem.stat("/d/a.txt")).ino;
+    assert.equal((await fileSystem.stat("/d/b.txt")).ino, keeperIno);
+    assert.equal((await fileSystem.stat("/d/sub/c.txt")).ino, keeperIno);
+    assert.notEqual((await fileSystem.stat("/d/unique.txt")).ino, keeperIno);
+    assert.deepEqual(await listNames(fileSystem, "/d"), [
+        "a.txt",
+        "b.txt",
+        "sub",
+        "unique.txt",
+    ]);
+
+    const again = await findDuplicateFiles("/d", { logger: null, fileSystem });
+    assert.deepEqual(again.groups, []);
+});
+
+test("dryRun reports the action without changing any file", async () => {
+    const fileSystem = createDuplicates();
+
+    const report = await findDuplicateFiles("/d", {
+        action: "delete",
+        dryRun: true,
+        logger: null,
+        fileSystem,
+    });
+
+    assert.deepEqual(report.deleted, ["/d/b.txt", "/d/sub/c.txt"]);
+    assert.deepEqual(await listNames(fileSystem, "/d/sub"), ["c.txt"]);
+    assert.equal(await fileSystem.readFile("/d/b.txt", "utf8"), "same");
+});
+
+test("a failed link leaves the duplicate and no temporary file behind", async () => {
+    const fileSystem = createDuplicates();
+    fileSystem.fail("/d/b.txt", { operations: ["rename"] });
+
+    const report = await findDuplicateFiles("/d", {
+        action: "hardlink",
+        logger: null,
+        fileSystem,
+    });
+
+    assert.deepEqual(report.linked, ["/d/sub/c.txt"]);
+    assert.deepEqual(
+        report.errors.map((error) => error.path),
+        ["/d/b.txt"]
+    );
+    assert.deepEqual(await listNames(fileSystem, "/d"), [
+        "a.txt",
+        "b.txt",
+        "sub",
+        "unique.txt",
+    ]);
+    assert.notEqual(
+        (await fileSystem.stat("/d/b.txt")).ino,
+        (await fileSystem.stat("/d/a.txt")).ino
+    );
+});
+
+test("files that cannot be read are reported and never deleted", async () => {
+    const fileSystem = createDuplicates();
+    fileSystem.fail("/d/b.txt", { operations: ["createReadStream"] });
+
+    const report = await findDuplicateFiles("/d", {
+        action: "delete",
+        logger: null,
+        fileSystem,
+    });
+
+    assert.deepEqual(report.deleted, ["/d/sub/c.txt"]);
+    assert.deepEqual(
+        report.errors.map((error) => error.path),
+        ["/d/b.txt"]
+    );
+    assert.equal(await fileSystem.readFile("/d/b.txt", "utf8"), "same");
+});
+
+test("a keep callback outside the group is an error", async () => {
+    const fileSystem = createDuplicates();
+
+    await assert.rejects(
+        findDuplicateFiles("/d", {
+            action: "delete",
+            keep: () => "/d/unique.txt",
+            logger: null,
+            fileSystem,
+        }),
+        /not in the group/
+    );
+    assert.deepEqual(await listNames(fileSystem, "/d/sub"), ["c.txt"]);
+});
@@ -0,0 +1,145 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    createPatternFilter,
+    parseIgnoreFile,
+    matchIgnoreRules,
+} from "../fs/path-patterns.js";
+
+/**
+ * @typedef {[patterns: String[], relativePath: String, isDirectory: Boolean,
+ * expected: Boolean]} PatternCase
+ */
+
+/** @type {PatternCase[]} */
+const excludeCases = [
+    [["**/*.tmp"], "a.tmp", false, true],
+    [["**/*.tmp"], "x/y/a.tmp", false, true],
+    [["**/*.tmp"], "a.tmpl", false, false],
+    [["*.tmp"], "deep/dir/a.tmp", false, true],
+    [["/root.txt"], "root.txt", false, true],
+    [["/root.txt"], "sub/root.txt", false, false],
+    [["docs/*.md"], "docs/a.md", false, true],
+    [["docs/*.md"], "x/docs/a.md", false, false],
+    [["docs/*.md"], "docs/sub/a.md", false, false],
+    [["docs/**/*.md"], "docs/a.md", false, true],
+    [["docs/**/*.md"], "docs/x/y/a.md", false, true],
+    [["a/**"], "a/b/c", false, true],
+    [["node_modules/"], "node_modules", true, true],
+    [["node_modules/"], "node_modules", false, false],
+    [["node_modules/"], "a/node_modules", true, true],
+    [["node_modules/"], "a/node_modules/pkg/index.js", false, true],
+    [["*.log", "!keep.log"], "x.log", false, true],
+    [["*.log", "!keep.log"], "keep.log", false, false],
+    [["*.log", "!keep.log"], "sub/keep.log", false, false],
+    [["!keep.log", "*.log"], "keep.log", false, true],
+    [["logs/", "!logs/keep.log"], "logs/keep.log", false, true],
+    [["*.{jpg,png}"], "a.jpg", false, true],
+    [["*.{jpg,png}"], "b/c.png", false, true],
+    [["*.{jpg,png}"], "a.gif", false, false],
+    [["{a,b{c,d}}.txt"], "bd.txt", false, true],
+    [["{a,b{c,d}}.txt"], "b.txt", false, false],
+    [["{single}.txt"], "{single}.txt", false, true],
+    [["file[0-9].txt"], "file5.txt", false, true],
+    [["file[0-9].txt"], "filex.txt", false, false],
+    [["[!a]*.txt"], "b.txt", false, true],
+    [["[!a]*.txt"], "a.txt", false, false],
+    [["?.txt"], "a.txt", false, true],
+    [["?.txt"], "ab.txt", false, false],
+    [["?.txt"], "a/b.txt", false, true],
+    [["\\#notes"], "#notes", false, true],
+    [["#notes"], "#notes", false, false],
+    [["a.txt   "], "a.txt", false, true],
+    [[""], "a.txt", false, false],
+    [["*.txt"], "dir\\a.txt", false, true],
+];
+
+test("exclude patterns follow gitignore semantics", () => {
+    for (const [
+        patterns,
+        relativePath,
+        isDirectory,
+        expected,
+    ] of excludeCases) {
+        const filter = createPatternFilter({ exclude: patterns });
+        assert.equal(
+            !filter(relativePath, isDirectory),
+            expected,
+            `${JSON.stringify(patterns)} on ${relativePath}${
+                isDirectory ? "/" : ""
+            }`
+        );
+    }
+});
+
+/** @type {PatternCase[]} */
+const includeCases = [
+    [["*.js"], "a.js", false, true],
+    [["*.js"], "src/a.js", false, true],
+    [["*.js"], "a.ts", false, false],
+    [["*.js"], "src", true, true],
+    [["src/"], "src/a.ts", false, true],
+    [["src/"], "lib/a.ts", false, false],
+];
+
+test("include patterns only filter files", () => {
+    for (const [
+        patterns,
+        relativePath,
+        isDirectory,
+        expected,
+    ] of includeCases) {
+        const filter = createPatternFilter({ include: patterns });
+        assert.equal(
+            filter(relativePath, isDirectory),
+            expected,
+            `${JSON.stringify(patterns)} on ${relativePath}`
+        );
+    }
+});
+
+test("exclude takes precedence over include", () => {
+    const filter = createPatternFilter({
+        include: ["*.js"],
+        exclude: ["vendor/"],
+    });
+    assert.equal(filter("a.js"), true);
+    assert.equal(filter("vendor/a.js"), false);
+    assert.equal(filter("vendor", true), false);
+});
+
+test("deeper ignore files take precedence and only apply below them", () => {
+    const rules = [
+        parseIgnoreFile("*.log\nbuild/\n"),
+        parseIgnoreFile("!keep.log\n", "a/b"),
+    ];
+    /** @type {[relativePath: String, isDirectory: Boolean, expected: Boolean][]} */
+    const cases = [
+        ["x.log", false, true],
+        ["a/x.log", false, true],
+        ["keep.log", false, true],
+        ["a/b/keep.log", false, false],
+        ["a/b/c/keep.log", false, false],
+        ["a/b/x.log", false, true],
+        ["build", true, true],
+        ["build", false, false],
+        ["a/build", true, true],
+        ["a/build/file", false, false],
+    ];
+
+    for (const [relativePath, isDirectory, expected] of cases) {
+        assert.equal(
+            matchIgnoreRules(rules, relativePath, isDirectory),
+            expected,
+            relativePath
+        );
+    }
+});
+
+test("anchored ignore patterns are relative to their ignore file", () => {
+    const rules = [parseIgnoreFile("/out\n", "pkg")];
+    assert.equal(matchIgnoreRules(rules, "pkg/out"), true);
+    assert.equal(matchIgnoreRules(rules, "out"), false);
+    assert.equal(matchIgnoreRules(rules, "pkg/sub/out"), false);
+    assert.equal(matchIgnoreRules(rules, "pkgs/out"), false);
+});
@@ -0,0 +1,114 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { pruneFiles } from "../fs/prune-files.js";
+import { createMemoryFileSystem } from "../fs/memory-file-system.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Memory filesystem of backups, one per day, the newest `newestAge` days old. Each is a
+ * minute younger than its whole number of days, so none sits on a cutoff.
+ * @param {Number} count
+ * @param {Number} newestAge - Age in days of the newest backup.
+ * @returns {import("../fs/memory-file-system.js").MemoryFileSystem}
+ */
+function createBackups(count, newestAge) {
+    const files = Object.fromEntries(
+        Array.from({ length: count }, (_, index) => {
+            const age = newestAge + index;
+            return [
+                `/backups/daily-${String(age).padStart(2, "0")}.tar.gz`,
+                {
+                    content: "backup",
+                    mtimeMs: Date.now() - age * DAY_MS + 60 * 1000,
+                },
+            ];
+        })
+    );
+    return createMemoryFileSystem({ files });
+}
+
+test("olderThanDays prunes files past the cutoff", async () => {
+    const fileSystem = createBackups(5, 28);
+
+    const report = await pruneFiles(
+        "/backups",
+        { olderThanDays: 30 },
+        { logger: null, fileSystem }
+    );
+    assert.deepEqual(
+        report.pruned.map(({ path, reason }) => [path, reason]),
+        [
+            ["daily-32.tar.gz", "age"],
+            ["daily-31.tar.gz", "age"],
+        ]
+    );
+    assert.equal(fileSystem.existsSync("/backups/daily-32.tar.gz"), false);
+    assert.ok(fileSystem.existsSync("/backups/daily-30.tar.gz"));
+});
+
+test("keepLast keeps the newest files even when they are too old", async () => {
+    const fileSystem = createBackups(5, 40);
+
+    const report = await pruneFiles(
+        "/backups",
+        { olderThanDays: 30, keepLast: { "daily-*.tar.gz": 3 } },
+        { logger: null, fileSystem }
+    );
+    assert.deepEqual(
+        report.pruned.map(({ path }) => path),
+        ["daily-44.tar.gz", "daily-43.tar.gz"]
+    );
+    const entries = await fileSystem.readdir("/backups", {
+        withFileTypes: true,
+    });
+    assert.deepEqual(entries.map(({ name }) => name).sort(), [
+        "daily-40.tar.gz",
+        "daily-41.tar.gz",
+        "daily-42.tar.gz",
+    ]);
+});
+
+test("keepLast keeps the newest files even over maxTotalSize", async () => {
+    const fileSystem = createBackups(5, 1);
+
+    const report = await pruneFiles(
+        "/backups",
+        { maxTotalSize: 6, keepLast: { "daily-*.tar.gz": 2 } },
+        { logger: null, fileSystem }
+    );
+    assert.equal(report.pruned.length, 3);
+    assert.equal(report.remainingBytes, 12);
+    assert.deepEqual(
+        report.pruned.map(({ reason }) => reason),
+        ["keepLast", "keepLast", "keepLast"]
+    );
+});
+
+test("archiveDirectory moves pruned files and dryRun leaves them", async () => {
+    for (const dryRun of [true, false]) {
+        const fileSystem = createBackups(3, 1);
+
+        const report = await pruneFiles(
+            "/backups",
+            { keepLast: { "*.tar.gz": 1 } },
+            { archiveDirectory: "/archive", dryRun, logger: null, fileSystem }
+        );
+        assert.deepEqual(
+            report.pruned.map(({ archivePath }) => archivePath),
+            ["/archive/daily-03.tar.gz", "/archive/daily-02.tar.gz"]
+        );
+        assert.equal(
+            fileSystem.existsSync("/archive/daily-03.tar.gz"),
+            !dryRun
+        );
+        assert.equal(fileSystem.existsSync("/backups/daily-03.tar.gz"), dryRun);
+    }
+});
+
+test("a policy without rules is rejected", async () => {
+    await assert.rejects(
+        pruneFiles("/backups", {}, { fileSystem: createBackups(1, 1) }),
+        { message: /olderThanDays, maxTotalSize or keepLast/ }
+    );
+});
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { searchFileContents } from "../fs/search-file-contents.js";
+import { createMemoryFileSystem } from "../fs/memory-file-system.js";
+
+/**
+ * Collect every match of a search.
+ * @param {AsyncGenerator<import("../fs/search-file-contents.js").ContentMatch>} search
+ * @returns {Promise<import("../fs/search-file-contents.js").ContentMatch[]>}
+ */
+async function collect(search) {
+    const matches = [];
+    for await (const match of search) matches.push(match);
+    return matches;
+}
+
+test("searchFileContents finds matches with their line and context", async () => {
+    const fileSystem = createMemoryFileSystem({
+        files: { "/r/a.txt": "one\ntwo TODO\nthree\n", "/r/b.txt": "nothing" },
+    });
+
+    const matches = await collect(
+        searchFileContents("/r", "todo", {
+            ignoreCase: true,
+            context: 1,
+            fileSystem,
+        })
+    );
+    assert.deepEqual(
+        matches.map(({ path, line, column, before, after }) => ({
+            path,
+            line,
+            column,
+            before,
+            after,
+        })),
+        [
+            {
+                path: "a.txt",
+                line: 2,
+                column: 5,
+                before: ["one"],
+                after: ["three"],
+            },
+        ]
+    );
+});
+
+test("unreadable files are skipped and passed to onError", async () => {
+    const files = Object.fromEntries(
+        Array.from({ length: 50 }, (_, index) => [`/r/${index}.txt`, "match"])
+    );
+    const fileSystem = createMemoryFileSystem({ files });
+    fileSystem.fail("/r/7.txt", { operations: ["createReadStream"] });
+
+    const failed = [];
+    const matches = await collect(
+        searchFileContents("/r", "match", {
+            onError: (filePath, error) =>
+                failed.push([
+                    filePath,
+                    /** @type {NodeJS.ErrnoException} */ (error).code,
+                ]),
+            fileSystem,
+        })
+    );
+    assert.equal(matches.length, 49);
+    assert.deepEqual(failed, [["/r/7.txt", "EACCES"]]);
+});
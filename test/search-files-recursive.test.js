@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { searchFilesRecursive } from "../fs/search-files-recursive.js";
+import { createMemoryFileSystem } from "../fs/memory-file-system.js";
+
+/**
+ * Memory filesystem with files of different sizes and ages, a link and a broken link.
+ * @returns {import("../fs/memory-file-system.js").MemoryFileSystem}
+ */
+function createFiles() {
+    return createMemoryFileSystem({
+        files: {
+            "/r/b.txt": { content: "bb", mtimeMs: 3000, mode: 0o600 },
+            "/r/a.txt": { content: "aaa", mtimeMs: 1000 },
+            "/r/dir/c.txt": { content: "c", mtimeMs: 2000 },
+            "/r/link": { symlink: "a.txt" },
+            "/r/broken": { symlink: "missing" },
+        },
+    });
+}
+
+test("withStats returns the type, size, time and mode of each entry", async () => {
+    const entries = await searchFilesRecursive("/r", {
+        withStats: true,
+        includeDirectories: true,
+        fileSystem: createFiles(),
+    });
+    const byPath = Object.fromEntries(
+        entries.map((entry) => [entry.relativePath, entry])
+    );
+
+    assert.deepEqual(Object.keys(byPath).sort(), [
+        "a.txt",
+        "b.txt",
+        "broken",
+        "dir",
+        "dir/c.txt",
+        "link",
+    ]);
+    assert.equal(byPath["b.txt"].type, "file");
+    assert.equal(byPath["b.txt"].size, 2);
+    assert.equal(byPath["b.txt"].mtime.getTime(), 3000);
+    assert.equal(byPath["b.txt"].mode & 0o777, 0o600);
+    assert.equal(byPath["b.txt"].fullPath, "/r/b.txt");
+    assert.equal(byPath["dir"].type, "directory");
+    assert.deepEqual(
+        [byPath["link"].type, byPath["link"].size, byPath["link"].isSymlink],
+        ["file", 3, true]
+    );
+    assert.deepEqual(
+        [byPath["broken"].type, byPath["broken"].isSymlink],
+        ["symlink", true]
+    );
+});
+
+test("results sort by name, size or modification time", async () => {
+    const fileSystem = createFiles();
+    /**
+     * @param {"name"|"size"|"mtime"} sort
+     * @param {"asc"|"desc"} [sortOrder]
+     */
+    const search = (sort, sortOrder = "asc") =>
+        searchFilesRecursive("/r", {
+            includeSymlinks: false,
+            sort,
+            sortOrder,
+            fileSystem,
+        });
+
+    assert.deepEqual(await search("name"), ["a.txt", "b.txt", "dir/c.txt"]);
+    assert.deepEqual(await search("size"), ["dir/c.txt", "b.txt", "a.txt"]);
+    assert.deepEqual(await search("mtime"), ["a.txt", "dir/c.txt", "b.txt"]);
+    assert.deepEqual(await search("mtime", "desc"), [
+        "b.txt",
+        "dir/c.txt",
+        "a.txt",
+    ]);
+});
+
+test("an unknown sort is rejected", async () => {
+    await assert.rejects(
+        searchFilesRecursive("/r", {
+            sort: /** @type {any} */ ("color"),
+            fileSystem: createFiles(),
+        }),
+        { message: "Error: unknown sort 'color'." }
+    );
+});
@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+const FILE_COUNT = 3000;
+const FILES_PER_DIRECTORY = 150;
+const DESCRIPTOR_LIMIT = 128;
+
+const syncModuleUrl = new URL("../fs/sync-directories.js", import.meta.url)
+    .href;
+
+const syncScript = `
+import { syncDirectories } from ${JSON.stringify(syncModuleUrl)};
+const [input, output, concurrency] = process.argv.slice(1);
+const report = await syncDirectories(input, output, {
+    concurrency: Number(concurrency),
+    streamThreshold: 0,
+    logger: null,
+});
+process.stdout.write(JSON.stringify(report));
+`;
+
+/**
+ * Write a tree of small files split across directories.
+ * @param {String} directory
+ * @returns {Promise<String[]>} - Relative paths of the files.
+ */
+async function generateTree(directory) {
+    const relativePaths = Array.from({ length: FILE_COUNT }, (_, index) =>
+        path.join(
+            `dir-${Math.floor(index / FILES_PER_DIRECTORY)}`,
+            `file-${index}.txt`
+        )
+    );
+    const directories = [...new Set(relativePaths.map(path.dirname))];
+    for (const relativeDirectory of directories) {
+        await fs.mkdir(path.join(directory, relativeDirectory), {
+            recursive: true,
+        });
+    }
+    for (const relativePath of relativePaths) {
+        await fs.writeFile(path.join(directory, relativePath), relativePath);
+    }
+    return relativePaths;
+}
+
+/**
+ * Run a sync in a child process limited to a few file descriptors. Every file is
+ * streamed, so each copy holds its descriptors open until it is done.
+ * @param {String} input
+ * @param {String} output
+ * @param {Number} concurrency
+ * @returns {Promise<import("../fs/sync-directories.js").SyncReport>}
+ */
+async function syncWithDescriptorLimit(input, output, concurrency) {
+    const command = `ulimit -n ${DESCRIPTOR_LIMIT} && exec "$0" --input-type=module -e "$1" "$2" "$3" "$4"`;
+    const { stdout } = await promisify(execFile)(
+        "/bin/sh",
+        [
+            "-c",
+            command,
+            process.execPath,
+            syncScript,
+            input,
+            output,
+            String(concurrency),
+        ],
+        { maxBuffer: 64 * 1024 * 1024 }
+    );
+    return JSON.parse(stdout);
+}
+
+test(
+    `syncDirectories copies ${FILE_COUNT} files with ${DESCRIPTOR_LIMIT} file descriptors`,
+    { skip: process.platform === "win32" && "ulimit needs a POSIX shell" },
+    async (t) => {
+        const root = await fs.mkdtemp(path.join(os.tmpdir(), "sync-bench-"));
+        t.after(() => fs.rm(root, { recursive: true, force: true }));
+        const input = path.join(root, "input");
+        const output = path.join(root, "output");
+        await fs.mkdir(output, { recursive: true });
+        const relativePaths = await generateTree(input);
+
+        const start = performance.now();
+        const report = await syncWithDescriptorLimit(input, output, 32);
+        const duration = performance.now() - start;
+        t.diagnostic(
+            `synced ${FILE_COUNT} files in ${Math.round(duration)} ms`
+        );
+
+        assert.deepEqual(report.errors, []);
+        assert.equal(report.copied.length, FILE_COUNT);
+        for (const relativePath of relativePaths) {
+            const content = await fs.readFile(
+                path.join(output, relativePath),
+                "utf8"
+            );
+            assert.equal(content, relativePath);
+        }
+    }
+);
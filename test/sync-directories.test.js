@@ -0,0 +1,341 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { syncDirectories } from "../fs/sync-directories.js";
+import {
+    createSyncTrash,
+    listTrashSnapshots,
+    restoreFromTrash,
+} from "../fs/sync-trash.js";
+import { createMemoryFileSystem } from "../fs/memory-file-system.js";
+import { searchFilesRecursive } from "../fs/search-files-recursive.js";
+
+const JOURNAL_PATH = "/out/.sync-journal.jsonl";
+
+/**
+ * Sync /in into /out on a memory filesystem, collecting the event types.
+ * @param {import("../fs/memory-file-system.js").MemoryFileSystem} fileSystem
+ * @param {Object} [inputOptions] - Options passed on to syncDirectories.
+ * @returns {Promise<import("../fs/sync-directories.js").SyncReport & {events: String[]}>}
+ */
+async function sync(fileSystem, inputOptions = {}) {
+    /** @type {String[]} */
+    const events = [];
+    const report =
+        /** @type {import("../fs/sync-directories.js").SyncReport} */ (
+            await syncDirectories("/in", "/out", {
+                logger: null,
+                onEvent: (event) => events.push(event.type),
+                fileSystem,
+                ...inputOptions,
+            })
+        );
+    return { ...report, events };
+}
+
+/**
+ * Relative paths of the files in a directory, sorted.
+ * @param {import("../fs/memory-file-system.js").MemoryFileSystem} fileSystem
+ * @param {String} directory
+ * @returns {Promise<String[]>}
+ */
+async function listFiles(fileSystem, directory) {
+    const files = await searchFilesRecursive(directory, { fileSystem });
+    return files.sort();
+}
+
+test("resuming skips journaled copies whose input file is gone", async () => {
+    const fileSystem = createMemoryFileSystem({
+        files: { "/in/a": "a", "/in/b": "b", "/out/": null },
+    });
+    fileSystem.fail("/in/b", { operations: ["copyFile"], times: 1 });
+    await assert.rejects(sync(fileSystem), { code: "EACCES" });
+    assert.ok(fileSystem.existsSync(JOURNAL_PATH));
+
+    await fileSystem.rm("/in/b");
+    const report = await sync(fileSystem);
+    assert.equal(report.resumed, true);
+    assert.deepEqual(report.errors, []);
+    assert.deepEqual(await listFiles(fileSystem, "/out"), ["a"]);
+
+    const nextReport = await sync(fileSystem);
+    assert.equal(nextReport.resumed, false);
+    assert.equal(fileSystem.existsSync(JOURNAL_PATH), false);
+});
+
+test("resuming counts deletions done before the interruption", async () => {
+    const fileSystem = createMemoryFileSystem({
+        files: { "/in/a": "a", "/out/a": "a", "/out/gone": "gone" },
+    });
+    fileSystem.fail(JOURNAL_PATH, { operations: ["appendFile"], times: 1 });
+    await assert.rejects(sync(fileSystem), { code: "EACCES" });
+    assert.equal(fileSystem.existsSync("/out/gone"), false);
+
+    const report = await sync(fileSystem);
+    assert.equal(report.resumed, true);
+    assert.deepEqual(report.deleted, ["gone"]);
+    assert.deepEqual(await listFiles(fileSystem, "/out"), ["a"]);
+});
+
+test("resuming counts moves renamed before the interruption", async () => {
+    const fileSystem = createMemoryFileSystem({
+        files: { "/in/new/moved": "moved", "/out/old/moved": "moved" },
+    });
+    fileSystem.fail(JOURNAL_PATH, { operations: ["appendFile"], times: 1 });
+    await assert.rejects(sync(fileSystem), { code: "EACCES" });
+
+    const report = await sync(fileSystem);
+    assert.equal(report.resumed, true);
+    assert.deepEqual(report.moved, [{ from: "old/moved", path: "new/moved" }]);
+    assert.deepEqual(await listFiles(fileSystem, "/out"), ["new/moved"]);
+});
+
+test("resuming still runs the requested sync afterwards", async () => {
+    const fileSystem = createMemoryFileSystem({
+        files: { "/in/a": "a", "/in/b": "b", "/in/c": "c", "/out/": null },
+    });
+    fileSystem.fail("/in/b", { operations: ["copyFile"], times: 1 });
+    await assert.rejects(sync(fileSystem, { paths: ["a", "b"] }), {
+        code: "EACCES",
+    });
+
+    const report = await sync(fileSystem, { paths: ["c"] });
+    assert.equal(report.resumed, true);
+    assert.deepEqual(report.copied, ["b", "c"]);
+    assert.equal(report.events.filter((type) => type === "done").length, 1);
+    assert.deepEqual(await listFiles(fileSystem, "/out"), ["a", "b", "c"]);
+});
+
+test("a failed resume removes the journal and syncs from scratch", async () => {
+    const fileSystem = createMemoryFileSystem({
+        files: { "/in/a": "a", "/in/b": "b", "/out/stale": "stale" },
+    });
+    fileSystem.fail("/in/b", { operations: ["copyFile"], times: 2 });
+    await assert.rejects(sync(fileSystem), { code: "EACCES" });
+
+    const report = await sync(fileSystem);
+    assert.equal(report.resumed, false);
+    assert.deepEqual(report.events.slice(0, 3), ["start", "resume", "restart"]);
+    assert.deepEqual(report.copied, ["b"]);
+    assert.deepEqual(report.deleted, ["stale"]);
+    assert.deepEqual(await listFiles(fileSystem, "/out"), ["a", "b"]);
+});
+
+test("continueOnError records failed files and syncs the rest", async () => {
+    const fileSystem = createMemoryFileSystem({
+        files: { "/in/a": "a", "/in/b": "b", "/out/": null },
+    });
+    fileSystem.fail("/in/b", { operations: ["copyFile"] });
+
+    const report = await sync(fileSystem, { continueOnError: true });
+    assert.deepEqual(report.copied, ["a"]);
+    assert.deepEqual(
+        report.errors.map(({ path, error }) => [
+            path,
+            /** @type {NodeJS.ErrnoException} */ (error).code,
+        ]),
+        [["b", "EACCES"]]
+    );
+    assert.ok(report.events.includes("error"));
+    assert.deepEqual(await listFiles(fileSystem, "/out"), ["a"]);
+});
+
+test("retries attempt failed copies again", async () => {
+    const fileSystem = createMemoryFileSystem({
+        files: { "/in/a": "a", "/out/": null },
+    });
+    fileSystem.fail("/in/a", { operations: ["copyFile"], times: 2 });
+
+    const report = await sync(fileSystem, { retries: 2, retryDelay: 0 });
+    assert.deepEqual(report.copied, ["a"]);
+    assert.deepEqual(report.errors, []);
+    assert.equal(report.events.filter((type) => type === "retry").length, 2);
+});
+
+test("streamed copies keep the permission bits of their input file", async () => {
+    const fileSystem = createMemoryFileSystem({
+        files: {
+            "/in/small.sh": { content: "#!/bin/sh", mode: 0o755 },
+            "/in/large.sh": { content: "#!/bin/sh\necho large", mode: 0o755 },
+            "/out/": null,
+        },
+    });
+
+    await sync(fileSystem, { streamThreshold: 12 });
+    for (const name of ["small.sh", "large.sh"]) {
+        const { mode } = await fileSystem.stat(`/out/${name}`);
+        assert.equal(mode & 0o777, 0o755, name);
+    }
+});
+
+test("ignore files above the synced paths still apply", async () => {
+    const files = {
+        "/in/.gitignore": "*.log\nignored/\n",
+        "/in/ignored/big": "big",
+        "/in/a/b/.gitignore": "!keep.log\n",
+        "/in/a/b/keep.log": "k",
+        "/in/a/b/x.log": "x",
+        "/in/a/b/c": "c",
+        "/out/": null,
+    };
+    const cases = [
+        [["ignored/big"], []],
+        [["ignored"], []],
+        [["a/b"], ["a/b/.gitignore", "a/b/c", "a/b/keep.log"]],
+        [["a/b/x.log", "a/b/keep.log"], ["a/b/keep.log"]],
+    ];
+
+    for (const [paths, expected] of cases) {
+        const report = await sync(createMemoryFileSystem({ files }), {
+            paths,
+            ignoreFiles: [".gitignore"],
+        });
+        assert.deepEqual(report.copied.sort(), expected, paths.join(", "));
+    }
+});
+
+test("maxDeleteCount aborts before changing anything", async () => {
+    const fileSystem = createMemoryFileSystem({
+        files: { "/in/a": "a", "/out/b": "b", "/out/c": "c" },
+    });
+
+    await assert.rejects(sync(fileSystem, { maxDeleteCount: 1 }), {
+        message: /maxDeleteCount \(1\)/,
+    });
+    assert.deepEqual(await listFiles(fileSystem, "/out"), ["b", "c"]);
+});
+
+test("maxDeletePercent aborts before changing anything", async () => {
+    const fileSystem = createMemoryFileSystem({
+        files: {
+            "/in/a": "a",
+            "/out/a": "a",
+            "/out/b": "b",
+            "/out/c": "c",
+            "/out/d": "d",
+        },
+    });
+
+    await assert.rejects(sync(fileSystem, { maxDeletePercent: 50 }), {
+        message: /75\.0% of output files/,
+    });
+    assert.deepEqual(await listFiles(fileSystem, "/out"), ["a", "b", "c", "d"]);
+});
+
+test("an empty input directory only deletes with allowEmptySource", async () => {
+    const fileSystem = createMemoryFileSystem({
+        files: { "/in/": null, "/out/a": "a" },
+    });
+
+    await assert.rejects(sync(fileSystem), { message: /allowEmptySource/ });
+    assert.deepEqual(await listFiles(fileSystem, "/out"), ["a"]);
+
+    const report = await sync(fileSystem, { allowEmptySource: true });
+    assert.deepEqual(report.deleted, ["a"]);
+});
+
+test("trash keeps replaced files until they are restored", async () => {
+    const fileSystem = createMemoryFileSystem({
+        files: { "/in/a": "newer", "/out/a": "old", "/out/gone": "gone" },
+    });
+
+    const report = await sync(fileSystem, { trash: true });
+    assert.deepEqual(report.trashed.sort(), ["a", "gone"]);
+    assert.deepEqual(await listTrashSnapshots("/out", { fileSystem }), [
+        report.trashSnapshot,
+    ]);
+
+    const restore = await restoreFromTrash("/out", { fileSystem });
+    assert.equal(restore.snapshot, report.trashSnapshot);
+    assert.deepEqual(restore.restored, ["gone"]);
+    assert.deepEqual(restore.skipped, ["a"]);
+    assert.equal(await fileSystem.readFile("/out/a", "utf8"), "newer");
+    assert.equal(await fileSystem.readFile("/out/gone", "utf8"), "gone");
+});
+
+test("a dry run predicts the directories the real run removes", async () => {
+    const files = {
+        "/in/a": "a",
+        "/in/.gitignore": "ignored/",
+        "/out/a": "a",
+        "/out/.gitignore": "ignored/",
+        "/out/keep/file": "k",
+        "/out/gone/file": "g",
+        "/out/ignored/nested/file": "i",
+        "/out/.sync-trash/": null,
+    };
+    const cases = [
+        [{}, ["gone", "ignored", "ignored/nested", "keep"]],
+        [{ exclude: ["keep/"] }, ["gone", "ignored", "ignored/nested"]],
+        [{ ignoreFiles: [".gitignore"] }, ["gone", "keep"]],
+    ];
+
+    for (const [options, expected] of cases) {
+        const plan =
+            /** @type {import("../fs/sync-directories.js").SyncPlan} */ (
+                await syncDirectories("/in", "/out", {
+                    logger: null,
+                    dryRun: true,
+                    fileSystem: createMemoryFileSystem({ files }),
+                    ...options,
+                })
+            );
+        const report = await sync(createMemoryFileSystem({ files }), options);
+        assert.deepEqual(plan.removeDirectories.sort(), expected);
+        assert.deepEqual(report.removedDirectories.sort(), expected);
+    }
+});
+
+test("back to back trash syncs keep every trashed version", async () => {
+    const fileSystem = createMemoryFileSystem({
+        files: { "/in/a": "v22", "/out/a": "v1" },
+    });
+
+    const first = await sync(fileSystem, { trash: true });
+    await fileSystem.writeFile("/in/a", "v333");
+    const second = await sync(fileSystem, { trash: true });
+    assert.notEqual(first.trashSnapshot, second.trashSnapshot);
+
+    const contents = await Promise.all(
+        [first, second].map(({ trashSnapshot }) =>
+            fileSystem.readFile(`/out/.sync-trash/${trashSnapshot}/a`, "utf8")
+        )
+    );
+    assert.deepEqual(contents, ["v1", "v22"]);
+});
+
+test("a trash snapshot never moves files into an existing snapshot", async () => {
+    const fileSystem = createMemoryFileSystem({
+        files: { "/out/a": "new" },
+    });
+    const trash = createSyncTrash("/out", { fileSystem });
+    const takenPath = `/out/.sync-trash/${trash.snapshot}/a`;
+    await fileSystem.mkdir(`/out/.sync-trash/${trash.snapshot}`, {
+        recursive: true,
+    });
+    await fileSystem.writeFile(takenPath, "old");
+
+    const movedPath = await trash.move("a");
+    assert.notEqual(movedPath, takenPath);
+    assert.match(trash.snapshot, /-1$/);
+    assert.equal(await fileSystem.readFile(takenPath, "utf8"), "old");
+    assert.equal(await fileSystem.readFile(movedPath, "utf8"), "new");
+});
+
+test("concurrent copies into a new directory all land", async () => {
+    const names = Array.from({ length: 20 }, (_, index) => `file-${index}`);
+    const fileSystem = createMemoryFileSystem({
+        files: {
+            ...Object.fromEntries(
+                names.map((name) => [`/in/new/${name}`, name])
+            ),
+            "/out/": null,
+        },
+    });
+
+    const report = await sync(fileSystem);
+    assert.equal(report.copied.length, names.length);
+    assert.deepEqual(
+        await listFiles(fileSystem, "/out/new"),
+        [...names].sort()
+    );
+});
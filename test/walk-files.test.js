@@ -0,0 +1,231 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { walkFiles } from "../fs/walk-files.js";
+import { searchFilesRecursive } from "../fs/search-files-recursive.js";
+import { createMemoryFileSystem } from "../fs/memory-file-system.js";
+
+/**
+ * Collect the paths a walk yields.
+ * @param {String} directory
+ * @param {import("../fs/walk-files.js").WalkOptions} options
+ * @returns {Promise<String[]>}
+ */
+async function walkPaths(directory, options) {
+    const paths = [];
+    for await (const entry of walkFiles(directory, options)) {
+        paths.push(entry.path);
+    }
+    return paths;
+}
+
+test("entries come depth first in readdir order", async () => {
+    const directories = Array.from({ length: 10 }, (_, index) => `d${index}`);
+    const fileSystem = createMemoryFileSystem({
+        files: Object.fromEntries([
+            ["/r/a", "a"],
+            ...directories.flatMap((name) => [
+                [`/r/${name}/f`, "f"],
+                [`/r/${name}/sub/g`, "g"],
+            ]),
+            ["/r/z", "z"],
+        ]),
+    });
+    const expected = [
+        "a",
+        ...directories.flatMap((name) => [
+            name,
+            `${name}/f`,
+            `${name}/sub`,
+            `${name}/sub/g`,
+        ]),
+        "z",
+    ];
+
+    for (const concurrency of [1, 3, 8, 64]) {
+        assert.deepEqual(
+            await walkPaths("/r", {
+                includeDirectories: true,
+                concurrency,
+                fileSystem,
+            }),
+            expected,
+            `concurrency ${concurrency}`
+        );
+    }
+    assert.deepEqual(
+        await searchFilesRecursive("/r", { fileSystem }),
+        expected.filter(
+            (filePath) =>
+                !directories.includes(filePath) && !filePath.endsWith("sub")
+        )
+    );
+});
+
+/**
+ * Memory filesystem of a three level tree: /r/file, /r/a/file, /r/a/b/file and so on.
+ * @returns {import("../fs/memory-file-system.js").MemoryFileSystem}
+ */
+function createTree() {
+    return createMemoryFileSystem({
+        files: {
+            "/r/file": "1",
+            "/r/a/file": "2",
+            "/r/a/b/file": "3",
+            "/r/a/b/c/file": "4",
+            "/r/skip/file": "s",
+        },
+    });
+}
+
+test("maxDepth stops the walk without reading deeper directories", async () => {
+    const fileSystem = createTree();
+    fileSystem.fail("/r/a/b", { operations: ["readdir"] });
+
+    assert.deepEqual(await walkPaths("/r", { maxDepth: 2, fileSystem }), [
+        "a/file",
+        "file",
+        "skip/file",
+    ]);
+});
+
+test("minDepth leaves out shallower entries", async () => {
+    assert.deepEqual(
+        await walkPaths("/r", {
+            minDepth: 3,
+            includeDirectories: true,
+            fileSystem: createTree(),
+        }),
+        ["a/b/c", "a/b/c/file", "a/b/file"]
+    );
+});
+
+test("descend skips the contents of a directory without reading it", async () => {
+    const fileSystem = createTree();
+    fileSystem.fail("/r/skip", { operations: ["readdir"] });
+    const descended = [];
+
+    const paths = await walkPaths("/r", {
+        includeDirectories: true,
+        descend: (directoryPath, entry) => {
+            descended.push([directoryPath, entry.name]);
+            return directoryPath !== "skip";
+        },
+        fileSystem,
+    });
+    assert.ok(paths.includes("skip"));
+    assert.ok(!paths.includes("skip/file"));
+    assert.deepEqual(descended.sort(), [
+        ["a", "a"],
+        ["a/b", "b"],
+        ["a/b/c", "c"],
+        ["skip", "skip"],
+    ]);
+});
+
+test("breaking out of the loop stops reading directories", async () => {
+    const fileSystem = createMemoryFileSystem({
+        files: Object.fromEntries(
+            Array.from({ length: 20 }, (_, index) => [`/r/d${index}/f`, "f"])
+        ),
+    });
+    let readCount = 0;
+    const countingFileSystem = {
+        ...fileSystem,
+        readdir: (directory, options) => {
+            readCount++;
+            return fileSystem.readdir(directory, options);
+        },
+    };
+
+    for await (const entry of walkFiles("/r", {
+        concurrency: 2,
+        fileSystem: countingFileSystem,
+    })) {
+        assert.equal(entry.path, "d0/f");
+        break;
+    }
+    assert.ok(readCount <= 4, `${readCount} directories read`);
+});
+
+test("read errors reject the walk", async () => {
+    const fileSystem = createTree();
+    fileSystem.fail("/r/a/b", { operations: ["readdir"] });
+
+    await assert.rejects(walkPaths("/r", { fileSystem }), { code: "EACCES" });
+});
+
+test("followSymlinks walks linked directories but not link cycles", async () => {
+    const fileSystem = createMemoryFileSystem({
+        files: {
+            "/r/real/file": "f",
+            "/r/real/up": { symlink: ".." },
+            "/r/real/self": { symlink: "." },
+            "/r/linked": { symlink: "real" },
+            "/r/broken": { symlink: "missing" },
+        },
+    });
+    const broken = [];
+
+    const paths = await walkPaths("/r", {
+        followSymlinks: true,
+        includeDirectories: true,
+        onBrokenSymlink: (entry) => broken.push(entry.path),
+        fileSystem,
+    });
+    assert.deepEqual(paths, [
+        "linked",
+        "linked/file",
+        "linked/self",
+        "linked/up",
+        "real",
+        "real/file",
+        "real/self",
+        "real/up",
+    ]);
+    assert.deepEqual(broken, ["broken"]);
+});
+
+test("link cycles between sibling directories end", async () => {
+    const fileSystem = createMemoryFileSystem({
+        files: {
+            "/r/a/file": "a",
+            "/r/a/to-b": { symlink: "../b" },
+            "/r/b/file": "b",
+            "/r/b/to-a": { symlink: "../a" },
+        },
+    });
+
+    const paths = await walkPaths("/r", { followSymlinks: true, fileSystem });
+    assert.deepEqual(paths, ["a/file", "a/to-b/file", "b/file", "b/to-a/file"]);
+});
+
+test("ignore files apply below their directory, deeper and later files first", async () => {
+    const fileSystem = createMemoryFileSystem({
+        files: {
+            "/r/.gitignore": "*.log\nbuild/\n",
+            "/r/.ignore": "!root.log\n",
+            "/r/root.log": "r",
+            "/r/x.log": "x",
+            "/r/build/out": "o",
+            "/r/a/.gitignore": "!keep.log\n",
+            "/r/a/keep.log": "k",
+            "/r/a/other.log": "o",
+            "/r/a/b/keep.log": "k",
+            "/r/c/keep.log": "k",
+        },
+    });
+    fileSystem.fail("/r/build", { operations: ["readdir"] });
+
+    const paths = await walkPaths("/r", {
+        ignoreFiles: [".gitignore", ".ignore"],
+        fileSystem,
+    });
+    assert.deepEqual(paths, [
+        ".gitignore",
+        ".ignore",
+        "a/.gitignore",
+        "a/b/keep.log",
+        "a/keep.log",
+        "root.log",
+    ]);
+});